@@ -21,22 +21,136 @@
   for linking. So all content is built dynamically in this directive.
 
   When each individual grid item is built, it is given a temporary scope value of 'item', allowing all
-  binding on it to work. Makes various use of $compile, $interpolate, and $scope.eval() for binding
-  angular expressions within the conent. 
-
-  A possible efficiency improvement might be to create a directive that wraps
-  an individual grid item, again building content dynamically. This might allow editing/adding/removing just
-  this list item, instead of currently rebuilding all the grid content other than the headers in these
-  situations.
-
-  @param {attribute} list - Required. Represents the list of items to be depicted in the grid
+  binding on it to work. Makes various use of $compile and $scope.eval() for binding angular expressions
+  within the conent.
+
+  Values from the grid items are never built into markup. Cell values are set as text once a row is compiled,
+  so markup or angular expressions in the data are shown as they are instead of being run. Only the config
+  (column names, customContent, detailTemplate) is compiled as markup, so it should never be built from data.
+  Columns that need to show html from the data can opt in with the html columnDef.
+
+  Each content row is built against its own child scope and is keyed on the identity column of its item.
+  When the list changes (search, sorting, or an edit picked up by the watchers), the rendered rows are
+  reconciled with the new list instead of being rebuilt: rows for removed items are destroyed, rows for new
+  items are built, rows whose item changed are rebuilt, and all others are only moved into place. This
+  means identity-column values should be unique within the list.
+
+  The grid has ARIA grid semantics (grid, row, columnheader and gridcell roles, aria-sort on sortable headers)
+  and is a single stop in the tab order. The grid role is on a grid-table div holding only the header, filter,
+  content and footer rows, with the search, pager and live region around it. Within it, the arrow keys move
+  between cells, Home and End move to the start and end of the row (with Ctrl, of the grid), PageUp and
+  PageDown change page (or move 10 rows without paging), and Enter or Space sorts on a header or activates
+  the link, checkbox or row of a cell.
+  The focused cell is kept through re-renders. Search results and page changes are announced through a
+  live region, which is visually hidden with the bootstrap sr-only class.
+
+  Every grid keeps its own settings, watchers and state, so any number of grids can share a page. The grid
+  is rebuilt when the sorting, search, maxItems, dateFormat, identityColumn or row class attributes change
+  (ie, when bound with {{ }}), when the config object is replaced, or when columns are added to or removed
+  from its columnDefs. The sort and search text are kept through a rebuild; column filters and the column
+  layout start over when the config changes.
+
+  @param {attribute} list - Required unless the config has a dataSource. Represents the list of items to be
+    depicted in the grid
   @param {attribute} config - Required. Javascript object representing configuration of grid and its fields.
     See example of how this object should be formatted below.
   @param {attribute} headerRowClass - Optional. CSS classes for the header row div
   @param {attribute} contentRowClass - Optional. CSS classes for each content row div
-  @param {attribute} sorting - Optional. If true, sorting is enabled on specified grid columns. Default: false
+  @param {attribute} footerRowClass - Optional. CSS classes for the footer row div, shown if any column has
+    an aggregate
+  @param {attribute} sorting - Optional. If true, sorting is enabled on specified grid columns. Clicking a
+    column header sorts on just that column. Shift-clicking one adds it as the next sort key (or changes its
+    sort order, then removes it again), so the grid can be sorted on several columns at once. Default: false
+  @param {attribute} initialSortValue - Optional. The column property to sort on initially. Can also be an
+    array of { property, descending } objects to sort on several columns, in order of priority, ie
+    "[{property: 'lastName'}, {property: getProvidedScope().sortOnAccountType, descending: true}]"
+  @param {attribute} initialSortDescending - Optional. If true, a single initialSortValue column is sorted in
+    descending order. Default: false
   @param {attribute} search - Optional. If true, search is enabled on grid. Default: false
   @param {attribute} maxItems - Optional. Specifies max number of grid items to render. Default: infinity
+  @param {attribute} pageSize - Optional. If provided, the grid items are split into pages of this size and
+    a pager bar is shown beneath the grid. Default: no paging
+  @param {attribute} pageSizes - Optional. Comma separated list of page sizes the user can choose from in
+    the pager bar, ie "10,25,50". Only used along with pageSize.
+  @param {attribute} page - Optional. Parent scope value bound to the current page number (starting at 1).
+    Can be read and set by the parent scope. Only used along with pageSize.
+  @param {attribute} selection - Optional. How grid items can be selected by clicking their rows: 'none',
+    'single' (one item at a time) or 'multi' (any number of items, shift-click selects a range of rows).
+    Clicking a selected row deselects it. Selection is kept on the identity column values, so it is kept
+    through sorting, searching and changes to the list. See also the selectionCheckbox columnDef.
+    Default: 'none'
+  @param {attribute} selectedItems - Optional. Parent scope value bound to the list of selected grid items.
+    Can be read and set by the parent scope.
+  @param {attribute} onSelectionChange - Optional. The parent scope function called with the list of
+    selected grid items whenever the user changes the selection.
+  @param {attribute} onCellEdit - Optional. The parent scope function called when an inline cell edit is
+    committed (see the editable columnDef), with the grid item, the column property, the new value and
+    the old value. It can return false or a promise to reject the change, or a promise to accept it once
+    resolved. The grid item is only changed once the change is accepted. If rejected, the editor stays
+    open showing the rejection reason if it is a string.
+  @param {attribute} export - Optional. If true, links to export the grid items matching the search and
+    filters, in their sorted order, to CSV or JSON are shown above the grid. With selection, the export can
+    be limited to the selected items. Columns are exported with the values shown in the grid. Columns with
+    only customContent are left out, unless they have an exportValue. Default: false
+  @param {attribute} exportApi - Optional. Parent scope value that is set to an object for exporting grid
+    items from the parent scope. It has the functions toCsv(selectedOnly) and toJson(selectedOnly), which
+    return the export content, and download(format, selectedOnly), which saves it to a file, where
+    format is 'csv' or 'json'.
+  @param {attribute} onRegisterApi - Optional. The parent scope function called once the grid is built, with
+    an object for driving and observing the grid from the parent scope. Call its functions from within a
+    digest, ie from an ng-click handler. It has:
+      refresh() - runs the grid items through the search, filters and sort again (or reloads them from the
+        dataSource)
+      setSort(property, descending) - sorts on a column property, or on a list of { property, descending }
+        objects in order of sort priority. Only used along with sorting.
+      setSearch(text) - sets the search text
+      scrollToItem(id) - goes to the page of the grid item with this identity column value and scrolls its
+        row into view. Returns false if the item is not shown, ie it does not match the search.
+      getVisibleItems() - returns the grid items shown on the current page
+      getFilteredCount() - returns the number of grid items matching the search and filters
+      toCsv, toJson and download - as with exportApi
+      getState, setState and reset - as with stateApi
+      on(event, handler) - calls the handler whenever the event happens, and returns a function that stops it.
+        The events, and what their handlers are called with, are:
+          'sortChanged' - the list of { property, descending } sort columns
+          'searchChanged' - the search text, after it or a column filter changes
+          'rowClicked' and 'rowDoubleClicked' - the grid item of the row, and the event
+          'rendered' - nothing, after the content rows are rendered
+          'dataChanged' - the list of grid items, after the list changes or the dataSource responds
+  @param {attribute} virtualScroll - Optional. If true, the content rows are shown in a scrolling viewport of
+    a fixed height, and only the rows in view (plus a buffer of rows above and below) are rendered. Meant
+    for very long lists. Rows must all be the same height. Default: false
+  @param {attribute} rowHeight - Optional. Height of each content row in pixels, with virtualScroll. Default: 30
+  @param {attribute} viewportHeight - Optional. Height of the scrolling viewport in pixels, with virtualScroll.
+    Default: 400
+  @param {attribute} virtualScrollBuffer - Optional. Number of rows rendered above and below the ones in view,
+    with virtualScroll. Default: 10
+  @param {attribute} scrollable - Optional. If true, the content rows scroll within a grid body of a fixed
+    height, while the header, filter and footer rows stay in place above and below it. Rows are laid out on
+    one line, and when the columns are wider than the grid, the body scrolls sideways with the header,
+    filter and footer rows kept over the same columns. See also the columnDef pinned option. Can be used
+    along with virtualScroll, in which case the viewportHeight is the body height. Default: false
+  @param {attribute} bodyHeight - Optional. Height of the grid body in pixels, with scrollable. Default: 400
+  @param {attribute} scrollWidth - Optional. Width of the rows in pixels, with scrollable. Column colLengths
+    are shares of this width, so a grid with many columns can be made wider than the space it is in.
+    Default: the width of the grid
+  @param {attribute} columnChooser - Optional. If true, a 'Columns' menu is shown above the grid for
+    choosing which columns are shown. Hiding a column clears its column filter. Default: false
+  @param {attribute} columnReorder - Optional. If true, columns can be reordered by dragging and dropping
+    their headers. Default: false
+  @param {attribute} columnResize - Optional. If true, columns can be resized by dragging the right edge of
+    their headers. A resized column gets a pixel width. Default: false
+  @param {attribute} stateKey - Optional. If provided, the grid's sort, search text, column filters, page,
+    page size and column layout are saved under this key whenever they change, and restored from it when
+    the grid is next shown. Each grid on a site needs its own key. Saved state that no longer fits the
+    columnDefs is ignored.
+  @param {attribute} stateStorage - Optional. Where the state is saved with stateKey: 'local' for
+    localStorage, or 'url' for a query parameter named by the stateKey, so views of the grid can be
+    bookmarked and shared. Default: 'local'
+  @param {attribute} stateApi - Optional. Parent scope value that is set to an object for saving and
+    restoring the grid state from the parent scope. It has the functions getState(), which returns the
+    state as an object, setState(state), which applies a state returned by getState, and reset(), which
+    puts the grid back to its initial sort, search, filters, page and columns.
   @param {attribute} dateFormat - Optional. Specifies date format for any date data in grid. Default: 'M/d/yyyy, h:mm:ss a'
   @param {attribute} addFunction - Optional. The parent scope function that handles adding a grid item.
   @param {attribute} editFunction - Optional. The parent scope function that handles editing a grid item.
@@ -49,12 +163,31 @@
       config="gridConfig"
       header-row-class="row header-row"
       content-row-class="row global-content-row"
+      footer-row-class="row footer-row"
       sorting="true"
       search="true"
       add-function="addUser" 
       edit-function="editUser"
       custom-function="resetPassword"
       max-items="100"
+      page-size="25"
+      page-sizes="10,25,50"
+      page="usersPage"
+      selection="multi"
+      selected-items="selectedUsers"
+      on-selection-change="usersSelected"
+      on-cell-edit="saveUserField"
+      on-register-api="registerUsersGrid"
+      export="true"
+      export-api="usersExport"
+      column-chooser="true"
+      column-reorder="true"
+      column-resize="true"
+      scrollable="true"
+      body-height="500"
+      state-key="usersGrid"
+      state-storage="url"
+      state-api="usersGridState"
       date-format="yyyy-MM-dd hh:mm:ss a">
   </custom-grid>
 
@@ -66,9 +199,50 @@
     * columnDefs - Required. List that specifies configuration for each grid column. All properties are
         optional other than colLength, though it will not work unless either property or customContent are
         defined.
+    * dataSource - Optional. Function that loads the grid items from a server instead of them being in the
+        'list' parameter. Paging, sorting and searching are then all done by the server. It is called with
+        an object of the form { page, pageSize, sort, filters, search } whenever any of these change, and
+        must return a promise (or value) of the form { items, total }, where items is the current page of
+        grid items and total is the number of items matching the request. 'sort' is a list of
+        { property, descending } objects in order of sort priority, using each column's property value.
+        'filters' has the value of each column filter that is set, keyed on the column's property:
+        a string for text and select filters, { min, max } for number filters and { from, to } (Dates)
+        for date filters.
+        While a request is running the grid shows a loading state, and if it is rejected an error state.
+        Responses to any request other than the latest one are ignored.
+    * dataSourceDelay - Optional. Milliseconds to wait after the search text stops changing before calling
+        dataSource. Default: 300
+    * groupBy - Optional. Groups the grid items, with a collapsible header row above each group showing its
+        value and number of items. Can be a property name or a getter function (proceeded by a
+        getProvidedScope() call, as with the columnDef property), or a list of these for nested groups.
+        Groups are ordered by their value, and the grid items keep their sort order within each group.
+        Groups with no items matching the search and filters are not shown. If a column has the same
+        property, its name and date formatting are used in the group header.
+    * groupAggregates - Optional. List of values to calculate for each group and show in its header. Each
+        is an object of the form { label, property, type }, where property is a property name or getter
+        function as with groupBy, and type is one of 'sum', 'avg', 'min', 'max' or 'count', or a function
+        (or getProvidedScope() expression for one) that is called with the list of property values and the
+        list of grid items in the group and returns the aggregate value.
+    * detailTemplate - Optional. Markup for a full width detail panel that can be opened beneath each content
+        row, by a column with detailToggle. As with customContent, use 'item' to denote the grid item, and
+        the functions edit, delete and custom can be used. Any detail loaded by detailLoader is in it as
+        'detail'. Open panels stay open through sorting, searching, paging and changes to the list, until
+        their grid item is removed from the list. Not available with virtualScroll.
+    * detailLoader - Optional. Function that loads the detail for a grid item when its detail panel is
+        opened. It is called with the grid item and returns a promise (or value) of the detail. The panel
+        shows a loading state until it resolves, and an error state if it is rejected.
+    * detailMode - Optional. 'single' to only allow one detail panel open at a time, closing any other when
+        one is opened, or 'multi' to allow any number. Default: 'multi'
 
   columnDef description:
     * colLength - The number of bootstrap col-xs columns that grid should encompass.
+    * width - Width of the column, in place of colLength. Either a number of pixels, or a string with units,
+        ie '120px' or '25%'.
+    * hidden - If true, the column is not shown initially. It can be shown with the column chooser.
+    * pinned - 'left' or 'right' to keep the column in place on that side of a scrollable grid while the
+        other columns scroll sideways beneath it. Pinned columns are shown before (or after) all others, and
+        have the grid-pinned class, along with grid-pinned-left or grid-pinned-right. Give them a background
+        so the scrolling columns do not show through.
     * name - Display name for column that will appear in its header
     * property - Can be either string or function. If column is to be sorted, this must be defined.
         If a string, represents the raw value of the property of the grid item object to be shown 
@@ -78,6 +252,13 @@
     * headerClass - CSS classes for the header div of the column
     * date - If provided, any date values within column value will be formatted using the directive
         dateFormat value.
+    * type - Formatter for the column value, from the customGridFormatters registry (see below). Built-in
+        types are 'number', 'currency', 'percent', 'boolean', 'email', 'url', 'relativeTime' and 'date'.
+        Apps can register their own.
+    * format - Passed to the column type's formatter, ie the number of decimal places for 'number', the
+        currency symbol for 'currency' or the date format for 'date'.
+    * formattedFor - List of where the formatted value of a typed (or date) column is used instead of its
+        raw value: 'search', 'sort' and/or 'export'. Default: ['export']
     * colClass - CSS classes for each column content div. Can be either string or function. If a function,
         should return a text string of the classes. Must be proceeded by a getProvidedScope() call 
         and the function must be defined in the providedScope of the config.
@@ -92,6 +273,47 @@
         custom-function (add-function is built automatically). Specify them in the markup as 'edit', for
         edit-function, 'delete' for delete-function, and 'custom' for custom-function. Pass $event as a
         param in the call. Ex: <a ng-click="edit($event)">Edit</a>
+        It is compiled as a trusted template against the row's scope, so grid item values in it are bound
+        through 'item' as text. Never build it from grid item values.
+    * html - If true, the column value is shown as html instead of text. Untrusted values are run through
+        $sanitize, which needs the ngSanitize module loaded. Values marked as trusted with $sce.trustAsHtml
+        (ie, by a property getter) are shown as they are.
+    * filter - If provided, a filter for the column is shown in a filter row beneath the headers. Column
+        filters work on the value shown in the column (contentExpression, property getter or property), and
+        are combined with each other and with the search box. Can be one of:
+          'text' - shows grid items whose column value contains the text entered
+          'select' - shows grid items whose column value is the one chosen from a list of the distinct
+              column values (or the column's filterOptions)
+          'number' - shows grid items whose column value is within a min and/or max entered
+          'date' - shows grid items whose column date is within a from and/or to date entered
+          true - 'date' for date columns, 'text' for all others
+    * selectionCheckbox - If true, the column shows a checkbox for selecting each row instead of any
+        content, and with multi selection, a checkbox in its header for selecting or deselecting all
+        grid items that match the search and filters. Only used along with the selection parameter.
+    * detailToggle - If true, the column shows a toggle for opening and closing the detail panel of each
+        row instead of any content. Only used along with the config detailTemplate.
+    * editable - If provided, the column value can be edited in place by double-clicking the cell, or
+        pressing Enter while it has focus. The column property must be a string. Can be 'text', 'number',
+        'select', 'date', 'checkbox' or true (same as 'text'), for the kind of editor to show. In the editor,
+        Enter commits the change, Escape cancels it, and Tab (or shift-Tab) commits it and moves on to the
+        next (or previous) editable cell. See also the onCellEdit parameter.
+    * editOptions - List of values to choose from in a 'select' editor.
+    * validators - List of functions that check a new value for an editable column before it is committed.
+        Each is called with the new value and the grid item, and returns an error message if the value is
+        not valid.
+    * exportValue - Angular expression for the value of the column when exported, instead of the value
+        shown in the grid. As with contentExpression, use 'item' to denote the grid item.
+    * aggregate - If provided, a value calculated over the column values of all grid items matching the
+        search and filters is shown for the column in a footer row beneath the grid. Can be 'sum', 'avg',
+        'min', 'max' or 'count' (of items with a value), or a function (proceeded by a getProvidedScope()
+        call) that is called with the list of column values and the list of grid items and returns the
+        value. Column values are the ones before any date formatting, so min and max work on date columns.
+    * aggregateLabel - Text shown before the aggregate value in the footer, ie 'Total: '
+    * aggregateFormat - Angular expression that formats the aggregate value for the footer, using 'value'
+        for the value, ie 'value | currency'. By default, dates (and the min and max of date columns) are
+        formatted with the directive dateFormat and numbers with the number filter.
+    * filterOptions - List of values to choose from in a 'select' filter, instead of the distinct values
+        of the column. Needed for 'select' filters when the config has a dataSource.
 
 
   For an example, using the apGrid example above, this would be the setup of the config object in its
@@ -115,9 +337,9 @@
           colClass: 'rowItem global-content-column', headerClass: 'column-header' },
       { name: 'Type', property: 'getProvidedScope().sortOnAccountType', colLength: 2, contentExpression: typeColumnExpression,
         colClass: 'rowItem global-content-column', headerClass: 'column-header' },
-      { name: 'Email', property: 'emailAddress', colLength: 2,
+      { name: 'Email', property: 'emailAddress', colLength: 2, type: 'email',
         colClass: 'getProvidedScope().getColumnClass(item.readableType())', headerClass: 'column-header' },
-      { colLength: 2, colClass: 'rowItem', customContent: customColumn }
+      { colLength: 2, colClass: 'rowItem', customContent: customColumn, pinned: 'right' }
     ],
     providedScope: {
       user_types: USER_TYPE_STRINGS,
@@ -143,368 +365,3384 @@
 'use strict';
 
 angular.module('angular-custom-grid')
-  .directive('customGrid', function ($compile, $filter, $interpolate) {
+  /*
+    customGridFormatters is the registry of cell formatters used by the columnDef type option. Each formatter
+    turns a column value into the text shown for it, and can also give html to show in its place (ie, a link),
+    which it must build with escapeHtml for any part coming from the value. Apps add their own through the
+    provider in a config block, or the service once running:
+
+      customGridFormattersProvider.register('phone', function(value, format, item) {
+        return value.replace(/(\d{3})(\d{3})(\d{4})/, '($1) $2-$3');
+      });
+
+    A formatter is either a function returning the text, or an object with the functions text and html.
+    They are called with the column value (never null, undefined or ''), the columnDef format and the grid
+    item. Built-in types:
+      'number' - format is the number of decimal places
+      'currency' - format is the currency symbol. Default: the locale's
+      'percent' - the value is a fraction, ie 0.25 for 25%. format is the number of decimal places. Default: 0
+      'boolean' - a check or cross icon. format is an object with the text for each, ie
+          { 'true': 'Active', 'false': 'Inactive' }. Default: 'Yes' and 'No'
+      'email' - a mailto link
+      'url' - a link. Only http, https and ftp addresses are shown as links.
+      'relativeTime' - how long ago (or from now) the date value is, ie '3 hours ago' or 'in 2 days'
+      'date' - format is the date format. Default: the grid's dateFormat
+  */
+  .provider('customGridFormatters', function() {
+    var formatters = {};
+
+    // Escape text for use in html content or attribute values
+    var escapeHtml = function(text) {
+      return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    };
+
+    /**
+     * Add a formatter, replacing any registered for the type
+     * @param type {String} - the columnDef type it is used for
+     * @param formatter {Function} or {Object} - function returning the text for a value, or an object with
+     *   functions text and html
+     */
+    var register = function(type, formatter) {
+      formatters[type] = angular.isFunction(formatter) ? { text: formatter } : formatter;
+    };
+
+    this.register = register;
+
+    this.$get = function($filter) {
+      var relativeTimeUnits = [
+        { name: 'year', seconds: 31536000 },
+        { name: 'month', seconds: 2592000 },
+        { name: 'week', seconds: 604800 },
+        { name: 'day', seconds: 86400 },
+        { name: 'hour', seconds: 3600 },
+        { name: 'minute', seconds: 60 }
+      ];
+
+      var getBooleanText = function(value, format) {
+        var text = angular.extend({ 'true': 'Yes', 'false': 'No' }, format);
+        return text[String(!!value && value !== 'false')];
+      };
+
+      var builtIns = {
+        number: function(value, format) {
+          return $filter('number')(value, format);
+        },
+        currency: function(value, format) {
+          return $filter('currency')(value, format);
+        },
+        percent: function(value, format) {
+          return $filter('number')(value * 100, angular.isDefined(format) ? format : 0) + '%';
+        },
+        boolean: {
+          text: getBooleanText,
+          html: function(value, format) {
+            var isTrue = !!value && value !== 'false';
+            return '<span class="glyphicon glyphicon-' + (isTrue ? 'ok' : 'remove') + '" aria-hidden="true"></span>' +
+              '<span class="sr-only">' + escapeHtml(getBooleanText(value, format)) + '</span>';
+          }
+        },
+        email: {
+          text: String,
+          html: function(value) {
+            return '<a href="mailto:' + escapeHtml(value) + '">' + escapeHtml(value) + '</a>';
+          }
+        },
+        url: {
+          text: String,
+          html: function(value) {
+            if (!/^(https?|ftp):\/\//i.test(value)) {
+              return escapeHtml(value);
+            }
+            return '<a href="' + escapeHtml(value) + '" target="_blank">' + escapeHtml(value) + '</a>';
+          }
+        },
+        relativeTime: function(value) {
+          var seconds = ((angular.isDate(value) ? value : new Date(value)).getTime() - new Date().getTime()) / 1000;
+          var unit = _.find(relativeTimeUnits, function(relativeTimeUnit) {
+            return Math.abs(seconds) >= relativeTimeUnit.seconds;
+          });
+          if (isNaN(seconds)) {
+            return String(value);
+          }
+          if (angular.isUndefined(unit)) {
+            return 'just now';
+          }
+
+          var count = Math.round(Math.abs(seconds) / unit.seconds);
+          var text = count + ' ' + unit.name + (count === 1 ? '' : 's');
+          return (seconds < 0) ? text + ' ago' : 'in ' + text;
+        },
+        date: function(value, format) {
+          return $filter('date')(value, format);
+        }
+      };
 
-    var propertiesToWatch = [];
-    var dateFormat, deregisterWatchers, sorting, search, identityColumn, contentRowClass, headerRowClass;
+      angular.forEach(builtIns, function(formatter, type) {
+        if (!formatters.hasOwnProperty(type)) {
+          register(type, formatter);
+        }
+      });
+
+      return {
+        register: register,
+        escapeHtml: escapeHtml,
+
+        /**
+         * Get the formatter for a type
+         * @param type {String}
+         * returns {Object} - { text, html }, where html is only there if the formatter gives html
+         */
+        get: function(type) {
+          if (!formatters.hasOwnProperty(type)) {
+            throw new Error('customGrid: no formatter is registered for type \'' + type + '\'');
+          }
+          return formatters[type];
+        }
+      };
+    };
+  })
+  .directive('customGrid', function ($compile, $document, $filter, $location, $parse, $q, $sce, $timeout, $window, customGridFormatters) {
 
     /******************************** PRIVATE FUNCTIONS ***************************************/
 
+    /**
+     * Start the markup for a column's div in any row, up to and including its size class. It is sized by
+     * the column's width if it has one, otherwise by its colLength. Callers add any further classes and
+     * close the class attribute.
+     * @param scope {Object} - the grid scope
+     * @param index {Number} - index of the column in the config columnDefs
+     * returns {String} - markup
+     */
+    var buildCellStart = function(scope, index) {
+      var column = _.find(scope.columns, function(column) {
+        return column.index === index;
+      });
+
+      var columnDef = scope.config.columnDefs[index];
+      var width = column.width;
+      if (angular.isUndefined(width) && angular.isDefined(scope.scrolling) && angular.isDefined(scope.scrolling.width)) {
+        // colLength is a share of the scroll width, so the columns can be wider than the grid
+        width = Math.floor(columnDef.colLength / 12 * scope.scrolling.width) + 'px';
+      }
+
+      if (angular.isUndefined(scope.scrolling)) {
+        if (angular.isDefined(width)) {
+          return '<div style="float: left; width: ' + width + ';" class="grid-col';
+        }
+        return '<div class="col-xs-' + columnDef.colLength;
+      }
+
+      // Scrolling rows lay their cells out on one line. Pinned cells stick to the side of the scrolling area,
+      // at the offsets set by updatePinnedColumns.
+      var style = 'flex: none;';
+      if (angular.isDefined(width)) {
+        style += ' width: ' + width + ';';
+      }
+      if (isPinned(columnDef)) {
+        style += ' position: sticky; z-index: 1;';
+      }
+
+      var result = '<div style="' + style + '" class="' + (angular.isDefined(width) ? 'grid-col' : 'col-xs-' + columnDef.colLength);
+      if (isPinned(columnDef)) {
+        result += ' grid-pinned grid-pinned-' + columnDef.pinned;
+      }
+      return result;
+    };
+
+    // Returns true if the column is pinned to the left or right side of a scrollable grid
+    var isPinned = function(columnDef) {
+      return columnDef.pinned === 'left' || columnDef.pinned === 'right';
+    };
+
+    // Returns a column width with units, given either a string with units or a number of pixels
+    var toWidth = function(width) {
+      return angular.isNumber(width) ? width + 'px' : width;
+    };
+
+    // Returns the columns that are shown, in the order they are shown, as { columnDef, index } objects,
+    // where index is the index of the column in the config columnDefs. Columns pinned left come first and
+    // columns pinned right come last.
+    var getShownColumns = function(scope) {
+      var pinnedOrder = { left: 0, right: 2 };
+      return _.sortBy(scope.columns.filter(function(column) {
+        return column.visible;
+      }).map(function(column) {
+        return {
+          columnDef: scope.config.columnDefs[column.index],
+          index: column.index
+        };
+      }), function(shown) {
+        return isPinned(shown.columnDef) ? pinnedOrder[shown.columnDef.pinned] : 1;
+      });
+    };
+
+    // Lay out a row's cells on one line in a scrollable grid. The header, filter and footer rows are clipped
+    // to the grid, and scrolled sideways along with the grid body by updateScrollLayout.
+    var setScrollRowLayout = function(row, scope, clipped) {
+      if (angular.isUndefined(scope.scrolling)) {
+        return;
+      }
+
+      row.addClass('grid-scroll-row').css({
+        display: 'flex',
+        'flex-wrap': 'nowrap'
+      });
+      if (clipped) {
+        row.css('overflow', 'hidden');
+      } else if (angular.isDefined(scope.scrolling.width)) {
+        row.css('min-width', scope.scrolling.width + 'px');
+      }
+    };
+
     // Build individual grid column header element
-    var buildHeader = function(columnDef, scope) {
-      var result = '<div class="col-xs-' + columnDef.colLength;
+    var buildHeader = function(columnDef, scope, index) {
+      var result = buildCellStart(scope, index) + ' grid-header';
       if (angular.isDefined(columnDef.headerClass)) {
         result += ' ' + columnDef.headerClass;
       }
 
       var sortValue;
-      if (sorting && (angular.isDefined(columnDef.property))) {
+      if (scope.options.sorting && (angular.isDefined(columnDef.property))) {
         // Set up sorting only if directive sorting property is true and the column will not
         // consist of sortable content.
 
         // Value could be function or string
         sortValue = _.isFunction(scope.$eval(columnDef.property)) ? columnDef.property : '\'' + columnDef.property + '\'';
-        result += ' sort-cursor" ng-click="setSorting(' + sortValue + ')';
+        result += ' sort-cursor" ng-click="setSorting(' + sortValue + ', $event)';
+      }
+
+      result += '" data-column-index="' + index + '" role="columnheader" tabindex="-1"';
+      if (angular.isDefined(sortValue)) {
+        result += ' aria-sort="{{getAriaSort(' + sortValue + ')}}"';
       }
-      result += '">';
+      if (scope.columnLayout.reorder) {
+        result += ' draggable="true"';
+      }
+      result += '>';
 
       if (angular.isDefined(columnDef.name)) {
         result += columnDef.name;
       }
 
-      if (sorting && (angular.isDefined(columnDef.property))) {
+      if (columnDef.selectionCheckbox && scope.selection.mode === 'multi') {
+        result += '<input type="checkbox" class="grid-select-all" ng-checked="allSelected()" ng-click="selectAll($event)">';
+      }
+
+      if (scope.options.sorting && (angular.isDefined(columnDef.property))) {
         result += '<div class="not-sorted" ng-if="!setSortingClass(' + sortValue + ')">';
         result += '<div class="sort sort-descending-false"></div>';
         result += '<div class="sort sort-descending-true"></div>';
         result += '</div>';
         result += '<div ng-class="setSortingClass(' + sortValue + ')"></div>';
+        result += '<span class="sort-priority" ng-if="sort.columns.length > 1 && setSortingClass(' + sortValue + ')">' +
+          '{{getSortPriority(' + sortValue + ')}}</span>';
+      }
+
+      if (scope.columnLayout.resize) {
+        result += '<span class="grid-resize-handle"></span>';
       }
 
       result += '</div>';
       return result;
     };
 
-    // Build row of grid headers
-    var buildHeaderRow = function(el, scope, headerRowClass) {
-      // Build headers
-      var headerRow = $('<div/>', {
-        class: headerRowClass
-      });
+    /**
+     * Header row entry for a group of grid items, rendered in place of a content row
+     * @param group {Object} - the group, as built by groupItems
+     * @param collapsed {Boolean} - true if the group's items are hidden
+     */
+    function GroupHeader(group, collapsed) {
+      this.key = group.key;
+      this.level = group.level;
+      this.label = group.label;
+      this.display = group.display;
+      this.count = group.count;
+      this.aggregates = group.aggregates;
+      this.collapsed = collapsed;
+    }
 
-      angular.forEach(scope.config.columnDefs, function(columnDef) {
-        // Push all the object properties shown in the grid to propertiesToWatch.
-        // These will be used for the watchers to determine if content needs to be updated.
-        if (angular.isDefined(columnDef.property)) {
-          propertiesToWatch.push(columnDef.property);
-        }
+    // Returns whether there is a value: a column value, or anything entered in a filter input
+    var hasValue = function(value) {
+      return angular.isDefined(value) && value !== null && value !== '';
+    };
 
-        var columnHeaderDivText = buildHeader(columnDef, scope);
-        headerRow.append(columnHeaderDivText);
+    /**
+     * Calculate an aggregate value over a list of values
+     * @param type {String} or {Function} - 'sum', 'avg', 'min', 'max' or 'count', or a function that is called
+     *   with the values and items and returns the aggregate. A string that is a getProvidedScope() expression
+     *   is evaluated to get the function.
+     * @param values {Array} - the values to aggregate
+     * @param items {Array} - the grid items the values are from
+     * @param columnDef {Object} - the column the values are from, if any. The min and max of a date column
+     *   are found by time, whether its values are dates, timestamps or date strings.
+     * @param scope {Object} - the grid scope
+     * returns the aggregate value
+     */
+    var calculateAggregate = function(type, values, items, columnDef, scope) {
+      var present = values.filter(hasValue);
+      var numbers = present.map(parseFloat).filter(function(value) {
+        return !isNaN(value);
       });
+      var sum = numbers.reduce(function(total, value) {
+        return total + value;
+      }, 0);
+
+      switch (type) {
+        case 'count':
+          return present.length;
+        case 'sum':
+          return sum;
+        case 'avg':
+          return (numbers.length > 0) ? sum / numbers.length : undefined;
+        case 'min':
+        case 'max':
+          var byTime = angular.isDefined(columnDef) && getColumnType(columnDef) === 'date';
+          if (byTime) {
+            // Leave out anything that is not a date
+            present = present.filter(function(value) {
+              return !isNaN(new Date(value).getTime());
+            });
+          }
+          return present.reduce(function(result, value) {
+            var comparison = byTime ? new Date(value).getTime() - new Date(result).getTime() :
+                                      compareSortValues(value, result);
+            return (angular.isUndefined(result) || (type === 'min' ? comparison < 0 : comparison > 0)) ? value : result;
+          }, undefined);
+      }
 
-      compileToScope(headerRow, el, scope);
+      var aggregateFunction = _.isFunction(type) ? type : scope.$eval(type);
+      return aggregateFunction(values, items);
     };
 
-    // Build individual content row column content
-    var buildContentItem = function(item, columnDef, scope) {
-      var result = '<div class="col-xs-' + columnDef.colLength;
-      if (angular.isDefined(columnDef.colClass)) {
-        // Value could be function or string, so run it through $eval if former
-        var classVal = (columnDef.colClass.indexOf('getProvidedScope') !== -1) ? 
-                          scope.$eval(columnDef.colClass) : columnDef.colClass;
-        result += ' ' + classVal;
+    // Format an aggregate value for display. The min and max of a date column are formatted as dates.
+    var formatAggregate = function(value, type, columnDef, scope) {
+      var isDateColumn = angular.isDefined(columnDef) && getColumnType(columnDef) === 'date';
+      if (isDateColumn && (type === 'min' || type === 'max')) {
+        return $filter('date')(value, getColumnFormat(columnDef, scope));
       }
-      result += '">';
-
-      if (angular.isDefined(columnDef.customContent)) {
-        // If custom html content, run the raw string passed in through $interpolate to bind
-        // any angular expressions
-        var interpolateFunc = $interpolate(columnDef.customContent);
-        result += interpolateFunc(scope);
+      if (angular.isDate(value)) {
+        return $filter('date')(value, scope.options.dateFormat);
       }
-      else {
-        var columnVal;
-        if (angular.isDefined(columnDef.contentExpression)) {
-          columnVal = scope.$eval(columnDef.contentExpression);
-        }
-        else {
-          // Column is defined by the 'property' value in config.
-          // If column value represents a function, run it.
-          columnVal = _.isFunction(item[columnDef.property]) ? item[columnDef.property]() 
-                                                             : item[columnDef.property];
+      return angular.isNumber(value) ? $filter('number')(value) : value;
+    };
 
-          if (angular.isUndefined(columnVal)) {
-            columnVal = '';
-          }
-        }
+    // Returns the column a groupBy property groups on, so its group values are the ones shown in the column
+    // (ie, from its contentExpression). A property without a column is grouped on as it is.
+    var getGroupColumnDef = function(groupBy, scope) {
+      return _.find(scope.config.columnDefs, function(columnDef) {
+        return columnDef.property === groupBy;
+      }) || { property: groupBy };
+    };
+
+    /**
+     * Order grid items by the groups in the config groupBy, and build the groups for them.
+     * @param list {Array} - grid items, in sorted order
+     * @param scope {Object} - the grid scope
+     * returns {Object} - { items, groups }, where items are the grid items in group order (and sorted order
+     *   within a group), and groups are the groups for every level of grouping, keyed on their key
+     */
+    var groupItems = function(list, scope) {
+      var result = {
+        items: [],
+        groups: {}
+      };
 
-        if (columnDef.date) {
-          // Format any date column
-          columnVal = $filter('date')(columnVal, dateFormat);
+      var addGroups = function(items, level, path) {
+        if (level === scope.grouping.groupBy.length) {
+          result.items.push.apply(result.items, items);
+          return;
         }
-        result += columnVal;
-      }
 
-      return result;
-    };
+        var columnDef = getGroupColumnDef(scope.grouping.groupBy[level], scope);
 
-    // Build all grid content rows
-    var buildContentRows = function(el, scope, contentRowClass) {
-      angular.forEach(scope.internalList, function(item) {
-        var contentRow = $('<div/>', {
-          class: 'grid-row ' + contentRowClass
+        var buckets = [];
+        var bucketsByValue = {};
+        angular.forEach(items, function(item) {
+          var value = getColumnValue(item, columnDef, scope);
+          var valueKey = String(value);
+          if (!bucketsByValue.hasOwnProperty(valueKey)) {
+            bucketsByValue[valueKey] = { value: value, valueKey: valueKey, items: [] };
+            buckets.push(bucketsByValue[valueKey]);
+          }
+          bucketsByValue[valueKey].items.push(item);
         });
 
-        // Place the object corresponding to the row in the root DIV of the row's
-        // data. This will be used on any events fired within the row to get the
-        // corresponding object.
-        contentRow.data(item);
+        buckets.sort(function(a, b) {
+          return compareSortValues(a.value, b.value);
+        });
 
-        // Put grid item in scope so $eval works for this
-        scope.item = item;
-        angular.forEach(scope.config.columnDefs, function(columnDef) {
-          var columnDivText = buildContentItem(item, columnDef, scope);
-          contentRow.append(columnDivText);
+        angular.forEach(buckets, function(bucket) {
+          var groupPath = path.concat([bucket.valueKey]);
+          var key = angular.toJson(groupPath);
+          result.groups[key] = {
+            key: key,
+            level: level,
+            label: columnDef.name,
+            display: getDisplayValue(bucket.items[0], columnDef, scope),
+            count: bucket.items.length,
+            aggregates: (scope.config.groupAggregates || []).map(function(groupAggregate) {
+              var values = bucket.items.map(function(item) {
+                return getColumnValue(item, { property: groupAggregate.property }, scope);
+              });
+              var aggregateColumnDef = _.find(scope.config.columnDefs, function(columnDef) {
+                return columnDef.property === groupAggregate.property;
+              });
+              var value = calculateAggregate(groupAggregate.type, values, bucket.items, aggregateColumnDef, scope);
+              return {
+                label: groupAggregate.label,
+                value: formatAggregate(value, groupAggregate.type, aggregateColumnDef, scope)
+              };
+            })
+          };
+          addGroups(bucket.items, level + 1, groupPath);
         });
+      };
 
-        compileToScope(contentRow, el, scope);
-        scope.item = {};
-      });
+      addGroups(list || [], 0, []);
+      return result;
     };
 
-    // Build search box and/or add link
-    var buildGridTopContent = function(scope, addFunction) {
-      var rowClass = search ? 'row search-box' : 'row';
-      var result = $('<div/>', {
-        class: rowClass
+    /**
+     * Put group header entries into a list of grid items, ahead of the first item in each group. Items
+     * (and nested groups) within collapsed groups are left out.
+     * @param list {Array} - grid items, in group order
+     * @param scope {Object} - the grid scope
+     * returns {Array} - group header entries and grid items, in the order they are rendered
+     */
+    var addGroupHeaders = function(list, scope) {
+      var result = [];
+      var previousKeys = [];
+
+      angular.forEach(list, function(item) {
+        var path = [];
+        var hidden = false;
+
+        for (var level = 0; level < scope.grouping.groupBy.length && !hidden; level++) {
+          var columnDef = getGroupColumnDef(scope.grouping.groupBy[level], scope);
+          path.push(String(getColumnValue(item, columnDef, scope)));
+
+          var key = angular.toJson(path);
+          if (key !== previousKeys[level]) {
+            previousKeys[level] = key;
+            result.push(new GroupHeader(scope.grouping.groups[key], !!scope.grouping.collapsed[key]));
+          }
+          hidden = !!scope.grouping.collapsed[key];
+        }
+
+        if (!hidden) {
+          result.push(item);
+        }
       });
+      return result;
+    };
 
-      var rowContent = '';
-      if (search) {
-        rowContent += '<span><label>Search:</label>';
-        rowContent += '<input type="text" ng-change="runFilters()" ng-model="filter.search" focus></span>';
+    // Compare two values being sorted on the same way the orderBy filter does. Values of different types
+    // are ordered by type, and strings are compared case insensitively.
+    var compareSortValues = function(a, b) {
+      if (typeof a !== typeof b) {
+        return (typeof a < typeof b) ? -1 : 1;
       }
 
-      if (angular.isDefined(addFunction)) {
-        rowContent += '<a ng-click="add()" class="pull-right">Add New ' + scope.config.title + '</a>';
+      if (angular.isString(a)) {
+        a = a.toLowerCase();
+        b = b.toLowerCase();
       }
 
-      result.append(rowContent);
-      return result;
+      if (a < b) {
+        return -1;
+      }
+      return (b < a) ? 1 : 0;
     };
 
-    // Build all grid content
-    var buildGrid = function(el, scope, contentRowClass, headerRowClass, addFunction) {
-      if (search || angular.isDefined(addFunction)) {
-        // Add searchbox and/or Add New link
-        var row = buildGridTopContent(scope, addFunction);
-        compileToScope(row, el, scope);
+    // Sort grid items on a list of { property, descending } sort keys, in order of priority. A property can
+    // be a string (an expression on the item, as with orderBy) or a getter function taking the item. Items
+    // that are equal on every key keep their original order.
+    var sortList = function(list, sortColumns) {
+      if (!angular.isArray(list) || sortColumns.length === 0) {
+        return list;
       }
 
-      buildHeaderRow(el, scope, headerRowClass, sorting);
-      buildContentRows(el, scope, contentRowClass);
-    };
+      var getters = sortColumns.map(function(sortColumn) {
+        return _.isFunction(sortColumn.property) ? sortColumn.property : $parse(sortColumn.property);
+      });
 
-    // Compile all angular elements in built markup to the scope.
-    var compileToScope = function(content, el, scope) {
-      var template = $compile(content)(scope);
-      el.append(template);
+      return list.map(function(item, index) {
+        return {
+          item: item,
+          index: index,
+          values: getters.map(function(getter) {
+            return getter(item);
+          })
+        };
+      }).sort(function(a, b) {
+        for (var i = 0; i < sortColumns.length; i++) {
+          var result = compareSortValues(a.values[i], b.values[i]);
+          if (result !== 0) {
+            return sortColumns[i].descending ? -result : result;
+          }
+        }
+        return a.index - b.index;
+      }).map(function(entry) {
+        return entry.item;
+      });
     };
 
-    // Rebuild grid
-    var refreshGridData = function(el, scope, contentRowClass) {
-      $('.grid-row', el).remove();
-      buildContentRows(el, scope, contentRowClass);
+    // Returns the kind of filter the column has in the filter row, if any
+    var getFilterType = function(columnDef) {
+      if (columnDef.filter === true) {
+        return (getColumnType(columnDef) === 'date' || columnDef.type === 'relativeTime') ? 'date' : 'text';
+      }
+      return columnDef.filter;
     };
 
-    /******************************** LINK ***************************************/
+    // Returns a Date for a date input value, which is either a Date or a 'yyyy-MM-dd' string.
+    // endOfDay moves it to the last moment of that day, so the whole day is included in a range.
+    var parseInputDate = function(value, endOfDay) {
+      var result;
+      if (angular.isDate(value)) {
+        result = new Date(value.getTime());
+      } else {
+        var parts = String(value).split('-');
+        result = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+      }
 
-    function link(scope, element, attrs) {
+      if (endOfDay) {
+        result.setHours(23, 59, 59, 999);
+      }
+      return result;
+    };
 
-      /************* GRID ITEM DATA MANIPULATION FUNCTIONS ******************/
-      /*
-        These provide ways to call functions in the directive's parent scope for
-        common data manipulation on a grid item: add, edit, and delete. There is also
-        a handler for a custom function that will do something with the item. All of them
-        get the root div of the grid item's row, and use its 'data' prop to retrieve the object.
-        They then call the parent scope function that corresponds to the action (defined by
-        directive attributes).
-      */
-      scope.add = function() {
-        scope.addFunction()();
-      };
+    /**
+     * Check the value of a grid item's column against the column's filter.
+     * @param columnFilter {Object} - filter state for the column
+     * @param value - the column value, before any date formatting
+     * @param displayValue {String} - the column value as shown in the grid
+     * returns {Boolean} - true if the grid item should be shown
+     */
+    var matchesColumnFilter = function(columnFilter, value, displayValue) {
+      var number, date;
+
+      switch (columnFilter.type) {
+        case 'text':
+          return !hasValue(columnFilter.value) ||
+            String(displayValue).toLowerCase().indexOf(String(columnFilter.value).toLowerCase()) !== -1;
+        case 'select':
+          return !hasValue(columnFilter.value) || String(displayValue) === String(columnFilter.value);
+        case 'number':
+          number = parseFloat(value);
+          if (hasValue(columnFilter.min) && !(number >= parseFloat(columnFilter.min))) {
+            return false;
+          }
+          return !hasValue(columnFilter.max) || number <= parseFloat(columnFilter.max);
+        case 'date':
+          date = hasValue(value) ? new Date(value) : undefined;
+          if (hasValue(columnFilter.from) && !(date >= parseInputDate(columnFilter.from))) {
+            return false;
+          }
+          return !hasValue(columnFilter.to) || date <= parseInputDate(columnFilter.to, true);
+      }
+      return true;
+    };
 
-      scope.custom = function($event) {
-        var rowDiv = $($event.target).parents('.grid-row', element);
-        scope.customFunction()(rowDiv.data());
-      };
+    // Build individual filter row cell for a column
+    var buildFilterCell = function(columnDef, scope, index) {
+      var result = buildCellStart(scope, index) + ' grid-filter" role="gridcell" tabindex="-1">';
+      var model = 'columnFilters[' + index + ']';
+
+      switch (getFilterType(columnDef)) {
+        case 'text':
+          result += '<input type="text" ng-model="' + model + '.value" ng-change="runSearch()">';
+          break;
+        case 'select':
+          result += '<select ng-model="' + model + '.value" ng-change="runSearch()" ' +
+            'ng-options="option for option in ' + model + '.options"><option value="">All</option></select>';
+          break;
+        case 'number':
+          result += '<input type="number" placeholder="Min" ng-model="' + model + '.min" ng-change="runSearch()">';
+          result += '<input type="number" placeholder="Max" ng-model="' + model + '.max" ng-change="runSearch()">';
+          break;
+        case 'date':
+          result += '<input type="date" placeholder="From" ng-model="' + model + '.from" ng-change="runSearch()">';
+          result += '<input type="date" placeholder="To" ng-model="' + model + '.to" ng-change="runSearch()">';
+          break;
+      }
 
-      scope.edit = function($event) {
-        var rowDiv = $($event.target).parents('.grid-row', element);
-        scope.editFunction()(rowDiv.data());
-      };
+      result += '</div>';
+      return result;
+    };
 
-      scope.delete = function($event) {
-        var rowDiv = $($event.target).parents('.grid-row', element);
-        scope.deleteFunction()(rowDiv.data());
-      };
+    // Returns the kind of inline editor the column has, if any
+    var getEditorType = function(columnDef) {
+      return (columnDef.editable === true) ? 'text' : columnDef.editable;
+    };
 
-      /***************** SCOPE FUNCTIONS ******************/
+    // Build inline editor for a column, bound to the 'editor' object on its scope
+    var buildEditor = function(columnDef) {
+      var result = '<span class="grid-editor" ng-keydown="editorKeydown($event)">';
+
+      switch (getEditorType(columnDef)) {
+        case 'number':
+          result += '<input type="number" ng-model="editor.value">';
+          break;
+        case 'select':
+          result += '<select ng-model="editor.value" ng-options="option for option in editor.options"></select>';
+          break;
+        case 'date':
+          result += '<input type="date" ng-model="editor.value">';
+          break;
+        case 'checkbox':
+          result += '<input type="checkbox" ng-model="editor.value">';
+          break;
+        default:
+          result += '<input type="text" ng-model="editor.value">';
+      }
 
-      // Returns the 'providedScope' portion of the 'config' object passed into the directive.
-      // This object can contain any additional needed variables or functions from parent scope
-      // that will be useful to directive.
-      scope.getProvidedScope = function() {
-        return scope.config.providedScope;
-      };
+      result += '<span class="grid-editor-error" ng-show="editor.error">{{editor.error}}</span>';
+      result += '</span>';
+      return result;
+    };
 
-      // Run grid content through filters if necessary and then rebuild grid. This will essentially reset 
-      // the content. You always want to run through the orderBy and search filters to preserve the grid 
-      // in the state it was in before the reset.
-      scope.runFilters = function() {
-        if (angular.isDefined(attrs.maxItems)) {
-          scope.internalList = $filter('limitTo')(scope.list, attrs.maxItems);
-        }
+    // Convert a grid item value to the value for the column's editor input
+    var toEditorValue = function(columnDef, value) {
+      switch (getEditorType(columnDef)) {
+        case 'date':
+          return $filter('date')(value, 'yyyy-MM-dd');
+        case 'checkbox':
+          return !!value;
+      }
+      return value;
+    };
 
-        if (search) {
-          scope.internalList = $filter('filter')(scope.list, scope.filter.search, undefined);
-        }
+    // Convert the value of a column's editor input back to a grid item value
+    var fromEditorValue = function(columnDef, value) {
+      switch (getEditorType(columnDef)) {
+        case 'number':
+          return hasValue(value) ? parseFloat(value) : null;
+        case 'date':
+          return hasValue(value) ? parseInputDate(value) : null;
+      }
+      return value;
+    };
 
-        if (sorting && (angular.isDefined(scope.sort.column))) {
-          scope.internalList = $filter('orderBy')(scope.internalList, scope.sort.column, scope.sort.descending);
-        }
+    /**
+     * Check a new value for an editable column
+     * @param columnDef {Object} - the column
+     * @param value - the new value, as it would be set on the grid item
+     * @param item {Object} - the grid item being edited
+     * returns {String} - error message, or undefined if the value is valid
+     */
+    var validateEdit = function(columnDef, value, item) {
+      if (getEditorType(columnDef) === 'number' && isNaN(value)) {
+        return 'Must be a number';
+      }
 
-        refreshGridData(element, scope, contentRowClass);
-      };
+      var error;
+      _.find(columnDef.validators, function(validator) {
+        error = validator(value, item);
+        return !!error;
+      });
+      return error || undefined;
+    };
 
-      /**
-       * Set the new state of the 'sort' object and run the list through the orderBy filter using it
-       * @param newSortColumn {String} or {Function} - If a string, the name of the column that is being
-       *   set to sort on. If a function, the function that should be called to get the value to sort on
-       *   for a column.
-       */
-      scope.setSorting = function(newSortColumn) {
-        if (scope.sort.column === newSortColumn) {
-          // Already sorting this column. Just change sort order.
-          scope.sort.descending = !scope.sort.descending;
-        } else {
-          scope.sort.column = newSortColumn;
-          scope.sort.descending = false;
-        }
-        scope.runFilters();
-      };
+    // Build row of column filters beneath the headers
+    var buildFilterRow = function(scope, headerRowClass) {
+      var filterRow = $('<div/>', {
+        class: headerRowClass + ' grid-filter-row',
+        role: 'row',
+        'data-row-key': 'filter'
+      });
 
-      /**
-       * If newSortColumn matches currentSortColumn, set the caret class for it, else show nothing.
-       * @param newSortColumn {String} - column that is being set to sort on
-       * returns {string} - class
-       */
-      scope.setSortingClass = function(newSortColumn) {
-        return newSortColumn === scope.sort.column && 'sort sort-descending-' + scope.sort.descending;
-      };
+      angular.forEach(getShownColumns(scope), function(shown) {
+        filterRow.append(buildFilterCell(shown.columnDef, scope, shown.index));
+      });
 
-      /******************************** CONTENT WATCHER CODE ***************************************/
+      setScrollRowLayout(filterRow, scope, true);
+      return filterRow;
+    };
 
-      // This builds the watchers on any of the properties whose data is shown in the grid. In other
-      // words they will trigger if any content relevant to the grid is changed.
-      var getListWatchProperties = function(obj, keys) {
-        return Object.keys(obj).filter(function (key) {
-          return keys.indexOf(key) !== -1;
-        }).reduce(function (result, key) {
-          result[key] = obj[key];
-          return result;
-        }, {});
-      };
+    // Build footer row with the aggregate value of each column
+    var buildFooterRow = function(scope, footerRowClass) {
+      var footerRow = $('<div/>', {
+        class: 'grid-footer-row ' + footerRowClass,
+        role: 'row',
+        'data-row-key': 'footer'
+      });
 
-      // Pass the propertiesToWatch array built in buildHeaderRow to getListWatchProperties to
-      // set up watchers on content for individual grid item.
-      var buildListWatchers = function(item) {
-         return getListWatchProperties(item, propertiesToWatch);
-      };
+      angular.forEach(getShownColumns(scope), function(shown) {
+        footerRow.append(buildCellStart(scope, shown.index) + ' grid-aggregate" role="gridcell" tabindex="-1">' +
+          '{{footerValues[' + shown.index + ']}}</div>');
+      });
 
-      // Watch set up function. Runs through all grid items using map and builds watchers for 
-      // their grid content through buildListWatchers
-      var watchScopeList = function() {
-        return scope.list.map(buildListWatchers);
-      };
+      updateFooterValues(scope);
+      setScrollRowLayout(footerRow, scope, true);
+      return footerRow;
+    };
 
-      // Run on any change to the external list
-      scope.$watchCollection('list', function() {
-        if (angular.isDefined(deregisterWatchers)) {
-          // If this isn't the first time the watchers have been set up, deregister them and set
-          // them up again. This needs to happen because if a grid item is edited, and then a later action
-          // changes the external list (add/delete), the original watcher on the grid item is "lost"
-          // and will not work anymore. This will "refresh" all the watchers.
-          deregisterWatchers();
+    // Calculate the aggregate value shown in the footer for each column, over the internal list
+    var updateFooterValues = function(scope) {
+      scope.footerValues = scope.config.columnDefs.map(function(columnDef) {
+        if (angular.isUndefined(columnDef.aggregate)) {
+          return '';
         }
 
-        // Watch grid content on individual items
-        deregisterWatchers = scope.$watch(watchScopeList, function(newVals, oldVals) {
-          // For each item in the current internal list, compare its old and new value.
-          // If there has been a change, change all the item properties to the new values
-          // returned by the watcher.
-          angular.forEach(scope.internalList, function(item) {
-            var itemInNewVals = _.find(newVals, function(newVal) {
-              return newVal[identityColumn] === item[identityColumn];
-            });
-
-            var itemInOldVals = _.find(oldVals, function(oldVal) {
-              return oldVal[identityColumn] === item[identityColumn];
-            });
-
-            if (!angular.equals(itemInOldVals, itemInNewVals)) {
-              for (var prop in itemInNewVals) {
-                item[prop] = itemInNewVals[prop];
-              }
-            }
-          });
+        var items = scope.internalList || [];
+        var values = items.map(function(item) {
+          return getColumnValue(item, columnDef, scope);
+        });
 
-          if (search || sorting) {
-            // Run the internal list through a filter on the external list that essentially matches
-            // anything. This is a way to "reconnect" the internal list with the external one and 
-            // pick up any added/deleted items before resetting the content. Somewhat of a hack so there 
-            // may be a better way to do this.
-            scope.internalList = $filter('filter')(scope.list, '', undefined);
-          }
+        var value = calculateAggregate(columnDef.aggregate, values, items, columnDef, scope);
+        value = angular.isDefined(columnDef.aggregateFormat) ?
+                  scope.$eval(columnDef.aggregateFormat, { value: value }) :
+                  formatAggregate(value, columnDef.aggregate, columnDef, scope);
 
-          // Reset content
-          scope.runFilters();
-        }, true);
+        if (angular.isUndefined(value) || value === null) {
+          value = '';
+        }
+        return (columnDef.aggregateLabel || '') + value;
       });
+    };
 
-      /******************************** INITIALIZATION ***************************************/
+    // Build row of grid headers
+    var buildHeaderRow = function(scope, headerRowClass) {
+      // Build headers
+      var headerRow = $('<div/>', {
+        class: 'grid-header-row ' + headerRowClass,
+        role: 'row',
+        'data-row-key': 'header'
+      });
 
-      scope.filter = {};
-      sorting = false;
-      search = false;
-      contentRowClass = (angular.isDefined(attrs.contentRowClass)) ? attrs.contentRowClass : '';
-      headerRowClass = (angular.isDefined(attrs.headerRowClass)) ? attrs.headerRowClass : '';
-      identityColumn = (angular.isDefined(attrs.identityColumn)) ? attrs.identityColumn : 'id';
-      dateFormat = (angular.isDefined(attrs.dateFormat)) ? attrs.dateFormat : 'M/d/yyyy, h:mm:ss a';
-      if (attrs.sorting === 'true') {
-        // Set up sorting if needed
-        sorting = true;
-        scope.sort = {};
-        if (angular.isDefined(attrs.initialSortValue)) {
-          scope.sort.column = attrs.initialSortValue;
-          scope.sort.descending = (angular.isDefined(attrs.initialSortDescending)) ? attrs.initialSortDescending : false;
-        }
-      }
-      if (attrs.search === 'true') { search = true; }
-
-      if (search || sorting) {
-        // Deep copy the list data and use this as the actual scope value to manipulate. This keeps the list
-        // value in the parent scope unaffected by any filter changes here in the directive. The results of
-        // the filter calls will all be applied to the deep copy. The search filter will use the original 
-        // parent scope value as the base for its queries.
-        scope.internalList = angular.copy(scope.list);
-      }
+      angular.forEach(scope.config.columnDefs, function(columnDef) {
+        // Push all the object properties shown in the grid to propertiesToWatch.
+        // These will be used for the watchers to determine if content needs to be updated.
+        var propertiesToWatch = scope.options.propertiesToWatch;
+        if (angular.isDefined(columnDef.property) && propertiesToWatch.indexOf(columnDef.property) === -1) {
+          propertiesToWatch.push(columnDef.property);
+        }
+      });
+
+      angular.forEach(getShownColumns(scope), function(shown) {
+        var columnHeaderDivText = buildHeader(shown.columnDef, scope, shown.index);
+        headerRow.append(columnHeaderDivText);
+      });
+
+      setScrollRowLayout(headerRow, scope, true);
+      return headerRow;
+    };
+
+    // Set up dragging column headers onto each other to reorder the columns
+    var bindColumnReorder = function(headerRow, scope) {
+      var fromIndex;
+
+      headerRow.on('dragstart', '[data-column-index]', function(event) {
+        fromIndex = parseInt($(this).attr('data-column-index'), 10);
+        // Firefox will not start a drag without some data
+        event.originalEvent.dataTransfer.setData('text', String(fromIndex));
+      });
+
+      headerRow.on('dragover', '[data-column-index]', function(event) {
+        event.preventDefault();
+      });
+
+      headerRow.on('drop', '[data-column-index]', function(event) {
+        event.preventDefault();
+        var toIndex = parseInt($(this).attr('data-column-index'), 10);
+        if (angular.isDefined(fromIndex) && fromIndex !== toIndex) {
+          scope.$apply(function() {
+            scope.moveColumn(fromIndex, toIndex);
+          });
+        }
+        fromIndex = undefined;
+      });
+    };
+
+    // Set up dragging the right edge of column headers to resize the columns
+    var bindColumnResize = function(headerRow, scope) {
+      headerRow.find('.grid-resize-handle').each(function() {
+        var handle = $(this);
+        var header = handle.parent();
+
+        // Keep the click that ends a resize from sorting the column
+        handle.on('click', function(event) {
+          event.stopPropagation();
+        });
+
+        handle.on('mousedown', function(event) {
+          // Keep the header from being dragged instead
+          event.preventDefault();
+          var startX = event.pageX;
+          var startWidth = header.outerWidth();
+
+          var resize = function(moveEvent) {
+            header.css({
+              float: 'left',
+              width: Math.max(30, startWidth + moveEvent.pageX - startX) + 'px'
+            });
+          };
+
+          var stopResize = function() {
+            $document.off('mousemove', resize);
+            $document.off('mouseup', endResize);
+            deregisterDestroy();
+          };
+
+          var endResize = function(upEvent) {
+            stopResize();
+            scope.$apply(function() {
+              scope.resizeColumn(parseInt(header.attr('data-column-index'), 10),
+                                 Math.max(30, startWidth + upEvent.pageX - startX));
+            });
+          };
+
+          $document.on('mousemove', resize);
+          $document.on('mouseup', endResize);
+          // Don't leave the document handlers behind if the grid goes away mid-resize
+          var deregisterDestroy = scope.$on('$destroy', stopResize);
+        });
+      });
+    };
+
+    /**
+     * Build the rows laid out by column: the headers, any filters and any footer. They are compiled against
+     * their own child scope, so that they can be torn down and built again when the column layout changes.
+     * The grid body must already be built, as they are placed around it.
+     * @param el {Object} - the grid element
+     * @param scope {Object} - the grid scope
+     * @param headerRowClass {String} - CSS classes for the header and filter rows
+     * @param footerRowClass {String} - CSS classes for the footer row
+     */
+    var buildColumnRows = function(el, scope, headerRowClass, footerRowClass) {
+      if (angular.isDefined(scope.columnScope)) {
+        scope.columnScope.$destroy();
+        getGridTable(el).children('.grid-header-row, .grid-filter-row, .grid-footer-row').remove();
+      }
+
+      scope.columnScope = scope.$new();
+      var body = getGridTable(el).children('.grid-body');
+
+      var headerRow = $compile(buildHeaderRow(scope, headerRowClass))(scope.columnScope);
+      body.before(headerRow);
+      if (scope.columnLayout.reorder) {
+        bindColumnReorder(headerRow, scope);
+      }
+      if (scope.columnLayout.resize) {
+        bindColumnResize(headerRow, scope);
+      }
+
+      if (_.some(scope.columnFilters)) {
+        body.before($compile(buildFilterRow(scope, headerRowClass))(scope.columnScope));
+      }
+
+      var hasAggregates = _.some(scope.config.columnDefs, function(columnDef) {
+        return angular.isDefined(columnDef.aggregate);
+      });
+      if (hasAggregates) {
+        body.after($compile(buildFooterRow(scope, footerRowClass))(scope.columnScope));
+      }
+      updateCellFocus(el, scope);
+      updateScrollLayout(el, scope);
+    };
+
+    // Build individual content row column content
+    var buildContentItem = function(item, columnDef, scope, index) {
+      var result = buildCellStart(scope, index);
+      if (getEditorType(columnDef)) {
+        result += ' grid-editable-cell" data-column-index="' + index + '"';
+        result += ' ng-dblclick="editCell(item, ' + index + ')" ng-keydown="cellKeydown(item, ' + index + ', $event)';
+      }
+      result += '" role="gridcell" tabindex="-1">';
+
+      if (columnDef.selectionCheckbox) {
+        result += '<input type="checkbox" class="grid-select" ng-checked="isSelected(item)">';
+      }
+      else if (columnDef.detailToggle) {
+        result += '<a class="grid-detail-toggle" ng-if="details" ng-click="toggleDetail(item, $event)" ' +
+          'aria-expanded="{{isDetailOpen(item)}}">' +
+          '{{isDetailOpen(item) ? \'-\' : \'+\'}}</a>';
+      }
+      else if (angular.isDefined(columnDef.customContent)) {
+        // Custom html content is compiled along with the row, binding any angular expressions in it
+        result += columnDef.customContent;
+      }
+
+      // Column classes and values are set by setContentItemValue once the row is compiled
+      result += '</div>';
+      return result;
+    };
+
+    // Set the classes and value of a content row column, the value as text or, for html columns, as sanitized
+    // or trusted html. This has to happen after the row is compiled, so neither ever gets compiled.
+    var setContentItemValue = function(cell, item, columnDef, scope) {
+      if (angular.isDefined(columnDef.colClass)) {
+        // Value could be function or string, so run it through $eval if former. A function can build the
+        // classes from the grid item.
+        var classVal = (columnDef.colClass.indexOf('getProvidedScope') !== -1) ?
+                          scope.$eval(columnDef.colClass) : columnDef.colClass;
+        cell.addClass(classVal);
+      }
+
+      if (columnDef.selectionCheckbox || columnDef.detailToggle || angular.isDefined(columnDef.customContent)) {
+        return;
+      }
+
+      var formatter = getColumnFormatter(columnDef);
+      var columnVal = getColumnValue(item, columnDef, scope);
+      if (angular.isDefined(formatter) && angular.isDefined(formatter.html) && hasValue(columnVal)) {
+        // Formatter html is built with its values escaped
+        cell.html(formatter.html(columnVal, getColumnFormat(columnDef, scope), item));
+        return;
+      }
+
+      var value = getDisplayValue(item, columnDef, scope);
+      if (columnDef.html) {
+        cell.html($sce.getTrustedHtml(value) || '');
+      } else {
+        cell.text((angular.isUndefined(value) || value === null) ? '' : String(value));
+      }
+    };
+
+    // Get the value of a grid item's column, before any date formatting
+    var getColumnValue = function(item, columnDef, scope) {
+      if (angular.isDefined(columnDef.contentExpression)) {
+        return scope.$eval(columnDef.contentExpression, { item: item });
+      }
+
+      if (angular.isString(columnDef.property) && columnDef.property.indexOf('getProvidedScope') !== -1) {
+        // Getter function from the providedScope
+        return scope.$eval(columnDef.property)(item);
+      }
+
+      // Column is defined by the 'property' value in config.
+      // If column value represents a function, run it.
+      var columnVal = _.isFunction(item[columnDef.property]) ? item[columnDef.property]()
+                                                             : item[columnDef.property];
+
+      if (angular.isUndefined(columnVal)) {
+        columnVal = '';
+      }
+      return columnVal;
+    };
+
+    // Returns the formatter type of a column, if it has one. Columns flagged as date use the 'date' type.
+    var getColumnType = function(columnDef) {
+      return columnDef.type || (columnDef.date ? 'date' : undefined);
+    };
+
+    // Returns the registered formatter for the column type, if the column has one
+    var getColumnFormatter = function(columnDef) {
+      var type = getColumnType(columnDef);
+      return angular.isDefined(type) ? customGridFormatters.get(type) : undefined;
+    };
+
+    // Returns the format passed to the column formatter. Dates default to the directive dateFormat.
+    var getColumnFormat = function(columnDef, scope) {
+      if (angular.isUndefined(columnDef.format) && getColumnType(columnDef) === 'date') {
+        return scope.options.dateFormat;
+      }
+      return columnDef.format;
+    };
+
+    // Returns true if the formatted value of the column is used for the search, sort or export, as listed in
+    // its formattedFor. By default only the export uses it.
+    var isFormattedFor = function(columnDef, use) {
+      var formattedFor = angular.isDefined(columnDef.formattedFor) ? columnDef.formattedFor : ['export'];
+      return angular.isDefined(getColumnType(columnDef)) && formattedFor.indexOf(use) !== -1;
+    };
+
+    // Get the value of a grid item's column as it is shown in the grid
+    var getDisplayValue = function(item, columnDef, scope) {
+      var columnVal = getColumnValue(item, columnDef, scope);
+      var formatter = getColumnFormatter(columnDef);
+
+      if (angular.isDefined(formatter)) {
+        // Format any typed (or date) column
+        columnVal = hasValue(columnVal) ? formatter.text(columnVal, getColumnFormat(columnDef, scope), item) : '';
+      }
+      return columnVal;
+    };
+
+    // Build the header row for a group of grid items. It gets its own child scope with the group header
+    // entry in it as 'group'.
+    var buildGroupRow = function(groupHeader, scope, contentRowClass) {
+      var rowScope = scope.$new();
+      rowScope.group = groupHeader;
+
+      var groupRow = $('<div/>', {
+        class: 'grid-row grid-group-row grid-group-level-' + groupHeader.level + ' ' + contentRowClass,
+        role: 'row'
+      });
+
+      if (angular.isDefined(scope.virtualScroll)) {
+        groupRow.css('height', scope.virtualScroll.rowHeight + 'px');
+      }
+      setScrollRowLayout(groupRow, scope, false);
+
+      var rowContent = '<div class="col-xs-12" role="gridcell" tabindex="-1">';
+      rowContent += '<a class="grid-group-toggle" ng-click="toggleGroup(group.key)" aria-expanded="{{!group.collapsed}}">';
+      rowContent += '<span class="grid-group-icon">{{group.collapsed ? \'+\' : \'-\'}}</span> ';
+      rowContent += '<span class="grid-group-label" ng-if="group.label">{{group.label}}: </span>{{group.display}}</a>';
+      rowContent += ' <span class="grid-group-count">({{group.count}})</span>';
+      rowContent += '<span class="grid-group-aggregate" ng-repeat="aggregate in group.aggregates"> ' +
+        '{{aggregate.label}}: {{aggregate.value}}</span>';
+      rowContent += '</div>';
+      groupRow.append(rowContent);
+
+      $compile(groupRow)(rowScope);
+
+      return {
+        element: groupRow,
+        scope: rowScope,
+        item: groupHeader,
+        snapshot: angular.copy(groupHeader)
+      };
+    };
+
+    // Build an individual content row for a grid item. Each row gets its own child scope with the
+    // grid item in it as 'item', so all binding on it works and it can be torn down on its own.
+    var buildContentRow = function(item, scope, contentRowClass) {
+      var rowScope = scope.$new();
+      rowScope.item = item;
+
+      var contentRow = $('<div/>', {
+        class: 'grid-row ' + contentRowClass,
+        role: 'row'
+      });
+
+      if (angular.isDefined(scope.virtualScroll)) {
+        contentRow.css('height', scope.virtualScroll.rowHeight + 'px');
+      }
+      setScrollRowLayout(contentRow, scope, false);
+
+      if (scope.selection.mode !== 'none') {
+        contentRow.attr({
+          'ng-class': '{\'grid-row-selected\': isSelected(item)}',
+          'ng-click': 'selectRow(item, $event)',
+          'aria-selected': '{{isSelected(item)}}'
+        });
+      }
+
+      // Place the object corresponding to the row in the root DIV of the row's
+      // data. This will be used on any events fired within the row to get the
+      // corresponding object.
+      contentRow.data(item);
+
+      var shownColumns = getShownColumns(scope);
+      angular.forEach(shownColumns, function(shown) {
+        var columnDivText = buildContentItem(item, shown.columnDef, rowScope, shown.index);
+        contentRow.append(columnDivText);
+      });
+
+      $compile(contentRow)(rowScope);
+
+      var cells = contentRow.children();
+      angular.forEach(shownColumns, function(shown, position) {
+        setContentItemValue(cells.eq(position), item, shown.columnDef, rowScope);
+      });
+
+      // Keep a copy of the item the row was built from, so later changes to it can be detected
+      return {
+        element: contentRow,
+        scope: rowScope,
+        item: item,
+        snapshot: angular.copy(item)
+      };
+    };
+
+    // Build the detail panel for a content row from the config detailTemplate. It gets a child scope of
+    // the row's scope, with the panel's load state in it as 'detailState', and the loaded detail as 'detail'.
+    var buildDetailPanel = function(row, detailState, scope) {
+      var detailScope = row.scope.$new();
+      detailScope.detailState = detailState;
+      detailState.promise.then(function(detail) {
+        detailScope.detail = detail;
+      });
+
+      var panel = $('<div/>', {
+        class: 'row grid-detail-row',
+        role: 'row'
+      });
+
+      var panelContent = '<div class="col-xs-12 grid-detail" role="gridcell" tabindex="-1">';
+      panelContent += '<div class="grid-detail-loading" ng-show="detailState.loading">Loading...</div>';
+      panelContent += '<div class="grid-detail-error" ng-show="detailState.error">Could not load details.</div>';
+      panelContent += '<div class="grid-detail-content" ng-if="!detailState.loading && !detailState.error">' +
+        scope.config.detailTemplate + '</div>';
+      panelContent += '</div>';
+      panel.append(panelContent);
+
+      // As with the content row, so the item functions work from within the panel
+      panel.data(row.item);
+
+      $compile(panel)(detailScope);
+
+      return {
+        element: panel,
+        scope: detailScope,
+        state: detailState
+      };
+    };
+
+    // Call the handlers registered through the grid API for an event, with any arguments after the event name
+    var emitGridEvent = function(scope, name) {
+      var args = Array.prototype.slice.call(arguments, 2);
+      angular.forEach((scope.apiListeners[name] || []).slice(), function(handler) {
+        handler.apply(null, args);
+      });
+    };
+
+    // Remove the detail panel of a content row, if it has one
+    var destroyDetailPanel = function(row) {
+      if (angular.isDefined(row.detail)) {
+        row.detail.scope.$destroy();
+        row.detail.element.remove();
+        row.detail = undefined;
+      }
+    };
+
+    // Remove a content row from the grid along with its scope
+    var destroyContentRow = function(row) {
+      destroyDetailPanel(row);
+      row.scope.$destroy();
+      row.element.remove();
+    };
+
+    // Reconcile the rendered content rows with the current internal list. Rows are keyed on the
+    // identity column of their item. Rows whose item is no longer in the list are destroyed, new items
+    // get a row built for them, rows whose item changed are rebuilt, and the remaining rows are only
+    // moved into place if their position changed.
+    var renderContentRows = function(el, scope, contentRowClass) {
+      var body = getGridTable(el).children('.grid-body')[0];
+      var previousRows = scope.renderedRows;
+      var currentRows = {};
+      var keyCounts = {};
+      var cursor = body.firstChild;
+      var rowItems = scope.visibleList;
+
+      if (angular.isDefined(scope.virtualScroll)) {
+        // Only render the rows in view. Spacers above and below them stand in for all the others.
+        rowItems = getVirtualRows(body, scope);
+        cursor = cursor.nextSibling;
+      }
+
+      angular.forEach(rowItems, function(item) {
+        var isGroupHeader = item instanceof GroupHeader;
+        var key = isGroupHeader ? 'group:' + item.key : String(item[scope.options.identityColumn]);
+        if (keyCounts.hasOwnProperty(key)) {
+          // Duplicate identity value. Key it on its occurrence so it still gets a row of its own.
+          key += '#' + keyCounts[key]++;
+        } else {
+          keyCounts[key] = 1;
+        }
+
+        var row = previousRows.hasOwnProperty(key) ? previousRows[key] : undefined;
+        delete previousRows[key];
+
+        if (angular.isDefined(row) && !angular.equals(row.snapshot, item)) {
+          // Item content changed, so the row has to be rebuilt
+          if (cursor === row.element[0]) {
+            cursor = cursor.nextSibling;
+          }
+          if (angular.isDefined(row.detail) && cursor === row.detail.element[0]) {
+            cursor = cursor.nextSibling;
+          }
+          destroyContentRow(row);
+          row = undefined;
+        }
+
+        if (angular.isUndefined(row)) {
+          row = isGroupHeader ? buildGroupRow(item, scope, contentRowClass) : buildContentRow(item, scope, contentRowClass);
+          row.element.attr('data-row-key', key);
+        } else if (row.item !== item) {
+          // Same content in a different object (ie, the list was copied). Point the row at the new one.
+          row.item = row.scope.item = item;
+          row.element.data(item);
+          if (angular.isDefined(row.detail)) {
+            row.detail.element.data(item);
+          }
+        }
+
+        if (row.element[0] === cursor) {
+          cursor = cursor.nextSibling;
+        } else {
+          body.insertBefore(row.element[0], cursor);
+        }
+
+        if (!isGroupHeader && angular.isDefined(scope.details)) {
+          // Open detail panels go right beneath their row
+          var detailState = scope.details.open[String(item[scope.options.identityColumn])];
+          if (angular.isDefined(row.detail) && row.detail.state !== detailState) {
+            if (cursor === row.detail.element[0]) {
+              cursor = cursor.nextSibling;
+            }
+            destroyDetailPanel(row);
+          }
+          if (angular.isDefined(detailState) && angular.isUndefined(row.detail)) {
+            row.detail = buildDetailPanel(row, detailState, scope);
+            row.detail.element.attr('data-row-key', 'detail:' + key);
+          }
+
+          if (angular.isDefined(row.detail)) {
+            if (row.detail.element[0] === cursor) {
+              cursor = cursor.nextSibling;
+            } else {
+              body.insertBefore(row.detail.element[0], cursor);
+            }
+          }
+        }
+        currentRows[key] = row;
+      });
+
+      // Anything left over is no longer in the list
+      angular.forEach(previousRows, destroyContentRow);
+      scope.renderedRows = currentRows;
+      updateCellFocus(el, scope);
+      updateScrollLayout(el, scope);
+      emitGridEvent(scope, 'rendered');
+    };
+
+    // Returns the range of grid items to render in the virtual scroll viewport: the ones in view plus a
+    // buffer above and below them
+    var getVirtualRange = function(body, scope) {
+      var virtualScroll = scope.virtualScroll;
+      var total = _.size(scope.visibleList);
+      var inView = Math.ceil(virtualScroll.height / virtualScroll.rowHeight);
+
+      // If the list has shrunk below the scroll position, the viewport will end up scrolled to the bottom
+      var first = Math.min(Math.floor(body.scrollTop / virtualScroll.rowHeight), Math.max(0, total - inView));
+      return {
+        start: Math.max(0, first - virtualScroll.buffer),
+        end: Math.min(total, first + inView + virtualScroll.buffer)
+      };
+    };
+
+    // Returns the grid items to render in the virtual scroll viewport, and sizes the spacers above and
+    // below them to the height of the rows not rendered, so the scrollbar reflects the whole list
+    var getVirtualRows = function(body, scope) {
+      var virtualScroll = scope.virtualScroll;
+      var range = getVirtualRange(body, scope);
+      virtualScroll.start = range.start;
+      virtualScroll.end = range.end;
+
+      $(body).children('.grid-spacer-top').css('height', (range.start * virtualScroll.rowHeight) + 'px');
+      $(body).children('.grid-spacer-bottom')
+        .css('height', ((_.size(scope.visibleList) - range.end) * virtualScroll.rowHeight) + 'px');
+
+      return (scope.visibleList || []).slice(range.start, range.end);
+    };
+
+    // Build the container for all grid content rows and render them into it
+    var buildContentRows = function(el, scope, contentRowClass) {
+      var body = $('<div/>', {
+        class: 'grid-body',
+        role: 'rowgroup'
+      });
+      getGridTable(el).append(body);
+
+      if (angular.isDefined(scope.virtualScroll)) {
+        body.addClass('grid-viewport').css({
+          height: scope.virtualScroll.height + 'px',
+          'overflow-y': 'auto'
+        });
+        body.append('<div class="grid-spacer-top"></div><div class="grid-spacer-bottom"></div>');
+
+        // Render the rows coming into view as the viewport scrolls
+        body.on('scroll', function() {
+          var range = getVirtualRange(body[0], scope);
+          if (range.start !== scope.virtualScroll.start || range.end !== scope.virtualScroll.end) {
+            scope.$apply(function() {
+              renderContentRows(el, scope, contentRowClass);
+            });
+          }
+        });
+      }
+
+      if (angular.isDefined(scope.scrolling)) {
+        body.addClass('grid-scroll-body').css('overflow', 'auto');
+        if (angular.isUndefined(scope.virtualScroll)) {
+          body.css('height', scope.scrolling.height + 'px');
+        }
+
+        // Keep the header, filter and footer rows over the same columns as the body
+        body.on('scroll', function() {
+          getGridTable(el).children('.grid-header-row, .grid-filter-row, .grid-footer-row').scrollLeft(body.scrollLeft());
+        });
+      }
+
+      scope.renderedRows = {};
+      renderContentRows(el, scope, contentRowClass);
+    };
+
+    // Line the header, filter and footer rows of a scrollable grid up with the grid body: leave room for
+    // the body's vertical scrollbar, and scroll them to where the body is scrolled sideways
+    var updateScrollLayout = function(el, scope) {
+      if (angular.isUndefined(scope.scrolling)) {
+        return;
+      }
+
+      var table = getGridTable(el);
+      var body = table.children('.grid-body');
+      if (body.length === 0) {
+        return;
+      }
+      var scrollbarWidth = body[0].offsetWidth - body[0].clientWidth;
+      table.children('.grid-header-row, .grid-filter-row, .grid-footer-row')
+        .css('margin-right', scrollbarWidth + 'px')
+        .scrollLeft(body.scrollLeft());
+
+      updatePinnedColumns(el, scope);
+    };
+
+    // Set the offsets of the pinned cells in every row, so they stick beside each other: left pinned cells
+    // after the widths of the pinned cells before them, and right pinned cells after the ones after them.
+    // Widths are taken from the header cells. Pinned cells stay in their rows, so rows keep one height.
+    var updatePinnedColumns = function(el, scope) {
+      var shownColumns = getShownColumns(scope);
+      if (!_.some(shownColumns, function(shown) { return isPinned(shown.columnDef); })) {
+        return;
+      }
+
+      var headerCells = getGridTable(el).children('.grid-header-row').children();
+      var offsets = {};
+      var offset = 0;
+      angular.forEach(shownColumns, function(shown, position) {
+        if (shown.columnDef.pinned === 'left') {
+          offsets[position] = { left: offset + 'px' };
+          offset += headerCells.eq(position).outerWidth();
+        }
+      });
+      offset = 0;
+      angular.forEach(shownColumns.slice().reverse(), function(shown, reversePosition) {
+        var position = shownColumns.length - 1 - reversePosition;
+        if (shown.columnDef.pinned === 'right') {
+          offsets[position] = { right: offset + 'px' };
+          offset += headerCells.eq(position).outerWidth();
+        }
+      });
+
+      getGridRows(el).each(function() {
+        var cells = $(this).children();
+        if (cells.length !== shownColumns.length) {
+          // Group header and detail rows span the whole grid
+          return;
+        }
+        angular.forEach(offsets, function(cellOffset, position) {
+          cells.eq(position).css(cellOffset);
+        });
+      });
+    };
+
+    // Build search box and/or add link
+    var buildGridTopContent = function(scope, addFunction) {
+      var rowClass = scope.options.search ? 'row search-box' : 'row';
+      var result = $('<div/>', {
+        class: rowClass
+      });
+
+      var rowContent = '';
+      if (scope.options.search) {
+        rowContent += '<span><label>Search:</label>';
+        rowContent += '<input type="text" ng-change="runSearch()" ng-model="filter.search" focus></span>';
+      }
+
+      if (angular.isDefined(addFunction)) {
+        rowContent += '<a ng-click="add()" class="pull-right">Add New ' + scope.config.title + '</a>';
+      }
+
+      if (scope.columnLayout.chooser) {
+        rowContent += '<span class="grid-column-chooser pull-right">';
+        rowContent += '<a ng-click="columnLayout.chooserOpen = !columnLayout.chooserOpen">Columns</a>';
+        rowContent += '<ul class="grid-column-chooser-menu" ng-show="columnLayout.chooserOpen">';
+        rowContent += '<li ng-repeat="column in columns"><label>';
+        rowContent += '<input type="checkbox" ng-model="column.visible" ng-change="columnsChanged()"> ';
+        rowContent += '{{getColumnName(column.index)}}</label></li>';
+        rowContent += '</ul></span>';
+      }
+
+      if (angular.isDefined(scope.exportOptions)) {
+        rowContent += '<span class="grid-export pull-right">';
+        rowContent += '<a ng-click="downloadExport(\'csv\')">Export CSV</a> ';
+        rowContent += '<a ng-click="downloadExport(\'json\')">Export JSON</a>';
+        if (scope.selection.mode !== 'none') {
+          rowContent += ' <label><input type="checkbox" ng-model="exportOptions.selectedOnly"> Selected only</label>';
+        }
+        rowContent += '</span>';
+      }
+
+      result.append(rowContent);
+      return result;
+    };
+
+    // Format a value as a CSV field, quoting it if it has quotes, commas or line breaks in it
+    var toCsvField = function(value) {
+      var result = (angular.isUndefined(value) || value === null) ? '' : String(value);
+      if (/[",\r\n]/.test(result)) {
+        result = '"' + result.replace(/"/g, '""') + '"';
+      }
+      return result;
+    };
+
+    // Save content to a file through the browser
+    var downloadFile = function(content, fileName, type) {
+      var blob = new $window.Blob([content], { type: type });
+      if ($window.navigator.msSaveBlob) {
+        $window.navigator.msSaveBlob(blob, fileName);
+        return;
+      }
+
+      var url = $window.URL.createObjectURL(blob);
+      var link = $('<a/>', {
+        href: url,
+        download: fileName
+      }).appendTo($document.find('body'));
+      link[0].click();
+      link.remove();
+      $window.URL.revokeObjectURL(url);
+    };
+
+    // Build loading and error indicators for grids using a dataSource
+    var buildDataStatus = function() {
+      var result = $('<div/>', {
+        class: 'row grid-data-status'
+      });
+
+      var rowContent = '<div class="grid-loading" ng-show="dataStatus.loading">Loading...</div>';
+      rowContent += '<div class="grid-error" ng-show="dataStatus.error">Could not load data. ' +
+        '<a ng-click="runFilters()">Retry</a></div>';
+
+      result.append(rowContent);
+      return result;
+    };
+
+    // Returns the page numbers to show links for in the pager bar, a window of pages around the current one
+    var getPageNumbers = function(page, pageCount) {
+      var first = Math.max(1, page - 2);
+      var last = Math.min(pageCount, first + 4);
+      first = Math.max(1, last - 4);
+
+      var result = [];
+      for (var number = first; number <= last; number++) {
+        result.push(number);
+      }
+      return result;
+    };
+
+    // Build pager bar with the paging summary, page links and page size selector
+    var buildPager = function(scope) {
+      var result = $('<div/>', {
+        class: 'row grid-pager'
+      });
+
+      var rowContent = '<span class="grid-pager-summary">' +
+        'Showing {{paging.first}}&ndash;{{paging.last}} of {{paging.total}}</span>';
+
+      rowContent += '<ul class="pagination pull-right">';
+      rowContent += '<li ng-class="{disabled: paging.page === 1}"><a ng-click="setPage(1)">&laquo;</a></li>';
+      rowContent += '<li ng-class="{disabled: paging.page === 1}"><a ng-click="setPage(paging.page - 1)">&lsaquo;</a></li>';
+      rowContent += '<li ng-repeat="number in paging.numbers" ng-class="{active: number === paging.page}">' +
+        '<a ng-click="setPage(number)">{{number}}</a></li>';
+      rowContent += '<li ng-class="{disabled: paging.page === paging.pageCount}">' +
+        '<a ng-click="setPage(paging.page + 1)">&rsaquo;</a></li>';
+      rowContent += '<li ng-class="{disabled: paging.page === paging.pageCount}">' +
+        '<a ng-click="setPage(paging.pageCount)">&raquo;</a></li>';
+      rowContent += '</ul>';
+
+      if (scope.paging.sizes.length > 0) {
+        rowContent += '<span class="grid-page-size"><label>Per page:</label>';
+        rowContent += '<select ng-model="paging.size" ng-options="size for size in paging.sizes" ' +
+          'ng-change="setPageSize(paging.size)"></select></span>';
+      }
+
+      result.append(rowContent);
+      return result;
+    };
+
+    /******************************** KEYBOARD NAVIGATION ***************************************/
+
+    var cellSelector = '[role="columnheader"], [role="gridcell"]';
+
+    // Returns the rows of the grid, in the order they are shown: header, filter, content and footer rows
+    var getGridRows = function(el) {
+      var table = getGridTable(el);
+      return table.children('[role="row"]').add(table.children('.grid-body').children('[role="row"]'));
+    };
+
+    // Returns the element with the grid role, which holds the header, filter, content and footer rows. The
+    // search, pager and live region are outside of it, as a grid can only own rows.
+    var getGridTable = function(el) {
+      return el.children('.grid-table');
+    };
+
+    // Returns the cells of a grid row
+    var getGridCells = function(row) {
+      return $(row).children(cellSelector);
+    };
+
+    // Make a cell the one cell of the grid that can be tabbed to. Only this cell has a tabindex of 0, so the
+    // grid takes a single stop in the tab order.
+    var setTabStop = function(el, cell) {
+      el.find(cellSelector).filter('[tabindex="0"]').not(cell).attr('tabindex', '-1');
+      cell.attr('tabindex', '0');
+    };
+
+    // Put the focused cell back after the grid rows are rendered. If its row is gone, the cell in the same
+    // position is used. If the focused cell had keyboard focus and lost it to the re-render, it gets it back.
+    var updateCellFocus = function(el, scope) {
+      var cellFocus = scope.cellFocus;
+      var rows = getGridRows(el);
+      if (angular.isUndefined(cellFocus) || rows.length === 0) {
+        return;
+      }
+
+      var row = rows.filter(function() {
+        return $(this).attr('data-row-key') === cellFocus.rowKey;
+      });
+      if (row.length === 0) {
+        row = rows.eq(Math.min(cellFocus.rowIndex, rows.length - 1));
+      }
+
+      var cells = getGridCells(row);
+      var cell = cells.eq(Math.max(0, Math.min(cellFocus.columnIndex, cells.length - 1)));
+      if (cell.length === 0) {
+        return;
+      }
+
+      var activeElement = $document[0].activeElement;
+      setTabStop(el, cell);
+      if (cellFocus.focused && (!activeElement || activeElement === $document[0].body)) {
+        cell[0].focus();
+      }
+    };
+
+    // Activate a cell from the keyboard: click its first link, button or checkbox, or focus its first
+    // other input. Cells with none of these get clicked, which sorts on a header, or selects a row.
+    var activateCell = function(cell) {
+      var control = cell.find('a, button, input, select, textarea').first();
+      if (control.length === 0) {
+        cell.click();
+      } else if (control.is('a, button, input[type="checkbox"]')) {
+        control.click();
+      } else {
+        control.focus();
+      }
+    };
+
+    /**
+     * Set up moving between grid cells with the keyboard. Arrow keys move to the next cell in their direction,
+     * Home and End to the first and last cell of the row (or with Ctrl, of the grid), and PageUp and PageDown
+     * to the previous and next page (or 10 rows up or down without paging). Enter and Space activate the cell.
+     * Keys pressed in the controls inside a cell are left to them.
+     * @param el {Object} - the grid element
+     * @param scope {Object} - the grid scope
+     */
+    var bindKeyboardNavigation = function(el, scope) {
+      // Remember the focused cell by the key of its row, and its position for when that row is gone
+      el.on('focusin', cellSelector, function() {
+        var cell = $(this);
+        var row = cell.parent();
+        setTabStop(el, cell);
+
+        scope.cellFocus.focused = true;
+        scope.cellFocus.rowKey = row.attr('data-row-key');
+        scope.cellFocus.rowIndex = getGridRows(el).index(row);
+        scope.cellFocus.columnIndex = getGridCells(row).index(cell);
+      });
+
+      el.on('focusout', function(event) {
+        // Focus lost to a cell being removed has no related target, and is given back once it is rendered
+        // again. Focus moved out of the grid, or to nothing (ie, by clicking a blank part of the page), is not.
+        var related = event.relatedTarget;
+        var cellRemoved = !related && !$.contains($document[0].documentElement, event.target);
+        if (!cellRemoved && !(related && $.contains(el[0], related))) {
+          scope.cellFocus.focused = false;
+        }
+      });
+
+      el.on('keydown', cellSelector, function(event) {
+        if (event.target !== this || event.isDefaultPrevented()) {
+          return;
+        }
+
+        var cell = $(this);
+        var rows = getGridRows(el);
+        var rowIndex = rows.index(cell.parent());
+        var columnIndex = getGridCells(cell.parent()).index(cell);
+
+        switch (event.which) {
+          case 37: // Left
+            columnIndex--;
+            break;
+          case 39: // Right
+            columnIndex++;
+            break;
+          case 38: // Up
+            rowIndex--;
+            break;
+          case 40: // Down
+            rowIndex++;
+            break;
+          case 36: // Home
+            rowIndex = event.ctrlKey ? 0 : rowIndex;
+            columnIndex = 0;
+            break;
+          case 35: // End
+            rowIndex = event.ctrlKey ? rows.length - 1 : rowIndex;
+            columnIndex = Infinity;
+            break;
+          case 33: // PageUp
+          case 34: // PageDown
+            var pageStep = (event.which === 33) ? -1 : 1;
+            if (angular.isDefined(scope.paging)) {
+              event.preventDefault();
+              scope.$apply(function() {
+                scope.setPage(scope.paging.page + pageStep);
+              });
+              return;
+            }
+            rowIndex += pageStep * 10;
+            break;
+          case 13: // Enter
+          case 32: // Space
+            event.preventDefault();
+            activateCell(cell);
+            return;
+          default:
+            return;
+        }
+
+        event.preventDefault();
+        var row = rows.eq(Math.max(0, Math.min(rowIndex, rows.length - 1)));
+        var cells = getGridCells(row);
+        var nextCell = cells.eq(Math.max(0, Math.min(columnIndex, cells.length - 1)));
+        if (nextCell.length > 0) {
+          nextCell[0].focus();
+        }
+      });
+    };
+
+    // Build all grid content
+    var buildGrid = function(el, scope, contentRowClass, headerRowClass, footerRowClass, addFunction) {
+      // Everything outside of the rows is compiled against a child scope, so it can be torn down with the grid
+      scope.gridScope = scope.$new();
+
+      if (scope.options.search || angular.isDefined(addFunction) || angular.isDefined(scope.exportOptions) || scope.columnLayout.chooser) {
+        // Add searchbox and/or Add New link
+        var row = buildGridTopContent(scope, addFunction);
+        compileToScope(row, el, scope.gridScope);
+      }
+
+      el.append($('<div/>', {
+        class: 'grid-table',
+        role: 'grid'
+      }));
+      buildContentRows(el, scope, contentRowClass);
+      buildColumnRows(el, scope, headerRowClass, footerRowClass);
+
+      if (angular.isDefined(scope.dataStatus)) {
+        compileToScope(buildDataStatus(), el, scope.gridScope);
+      }
+
+      if (angular.isDefined(scope.paging)) {
+        compileToScope(buildPager(scope), el, scope.gridScope);
+      }
+
+      // Search results and page changes are announced to screen readers
+      compileToScope('<div class="grid-live-region sr-only" role="status" aria-live="polite">' +
+                     '{{liveRegion.message}}</div>', el, scope.gridScope);
+    };
+
+    // Tear down everything built by buildGrid, along with the scopes it was built against
+    var destroyGrid = function(el, scope) {
+      angular.forEach(scope.renderedRows, destroyContentRow);
+      scope.renderedRows = {};
+      scope.columnScope.$destroy();
+      scope.columnScope = undefined;
+      scope.gridScope.$destroy();
+      el.children().remove();
+    };
+
+    // Compile all angular elements in built markup to the scope.
+    var compileToScope = function(content, el, scope) {
+      var template = $compile(content)(scope);
+      el.append(template);
+    };
+
+    // Bring grid content rows up to date with the internal list
+    var refreshGridData = function(el, scope, contentRowClass) {
+      renderContentRows(el, scope, contentRowClass);
+
+      if (angular.isDefined(scope.footerValues)) {
+        updateFooterValues(scope);
+      }
+
+      if (scope.liveRegion.pending) {
+        scope.liveRegion.pending = false;
+        scope.liveRegion.message = getAnnouncement(scope);
+      }
+    };
+
+    // Returns the message announced after a search or page change, describing the grid items now shown
+    var getAnnouncement = function(scope) {
+      var paging = scope.paging;
+      if (angular.isUndefined(paging)) {
+        return _.size(scope.internalList) + ' items';
+      }
+      return 'Page ' + paging.page + ' of ' + paging.pageCount + ', showing ' + paging.first + ' to ' +
+        paging.last + ' of ' + paging.total + ' items';
+    };
+
+    /******************************** LINK ***************************************/
+
+    function link(scope, element, attrs) {
+
+      /************* GRID ITEM DATA MANIPULATION FUNCTIONS ******************/
+      /*
+        These provide ways to call functions in the directive's parent scope for
+        common data manipulation on a grid item: add, edit, and delete. There is also
+        a handler for a custom function that will do something with the item. All of them
+        get the root div of the grid item's row (or detail panel), and use its 'data' prop to retrieve the object.
+        They then call the parent scope function that corresponds to the action (defined by
+        directive attributes).
+      */
+      scope.add = function() {
+        scope.addFunction()();
+      };
+
+      scope.custom = function($event) {
+        var rowDiv = $($event.target).parents('.grid-row, .grid-detail-row', element);
+        scope.customFunction()(rowDiv.data());
+      };
+
+      scope.edit = function($event) {
+        var rowDiv = $($event.target).parents('.grid-row, .grid-detail-row', element);
+        scope.editFunction()(rowDiv.data());
+      };
+
+      scope.delete = function($event) {
+        var rowDiv = $($event.target).parents('.grid-row, .grid-detail-row', element);
+        scope.deleteFunction()(rowDiv.data());
+      };
+
+      /***************** SCOPE FUNCTIONS ******************/
+
+      // Returns the 'providedScope' portion of the 'config' object passed into the directive.
+      // This object can contain any additional needed variables or functions from parent scope
+      // that will be useful to directive.
+      scope.getProvidedScope = function() {
+        return scope.config.providedScope;
+      };
+
+      // Returns the grid items matching the search. Columns whose formattedFor includes 'search' also match
+      // on the text they show, ie '$1,200.00' or '3 days ago'.
+      var searchList = function(list) {
+        var search = scope.filter.search;
+        var formattedColumns = scope.config.columnDefs.filter(function(columnDef) {
+          return isFormattedFor(columnDef, 'search');
+        });
+        if (formattedColumns.length === 0 || !angular.isString(search) || search === '') {
+          return $filter('filter')(list, search, undefined);
+        }
+
+        search = search.toLowerCase();
+        return $filter('filter')(list, function(item) {
+          return $filter('filter')([item], scope.filter.search, undefined).length > 0 ||
+            formattedColumns.some(function(columnDef) {
+              return String(getDisplayValue(item, columnDef, scope)).toLowerCase().indexOf(search) !== -1;
+            });
+        });
+      };
+
+      // Returns the sort keys for sortList. Columns whose formattedFor includes 'sort' are sorted on the
+      // text they show instead of their values.
+      var getSortColumns = function() {
+        return scope.sort.columns.map(function(sortColumn) {
+          var columnDef = _.find(scope.config.columnDefs, function(columnDef) {
+            return columnDef.property === sortColumn.property;
+          });
+          if (angular.isUndefined(columnDef) || !isFormattedFor(columnDef, 'sort')) {
+            return sortColumn;
+          }
+
+          return {
+            property: function(item) {
+              return getDisplayValue(item, columnDef, scope);
+            },
+            descending: sortColumn.descending
+          };
+        });
+      };
+
+      // Run grid content through filters if necessary and then update the grid rows to match. You always
+      // want to run through the sort and search filters to preserve the grid in the state it was in
+      // before the update.
+      scope.runFilters = function() {
+        if (angular.isDefined(dataSource)) {
+          // The server does all of this
+          loadData();
+          return;
+        }
+
+        var result = scope.list;
+        if (scope.options.search) {
+          result = searchList(result);
+        }
+
+        result = applyColumnFilters(result);
+
+        if (scope.options.sorting) {
+          result = sortList(result, getSortColumns());
+        }
+
+        if (angular.isDefined(scope.options.maxItems)) {
+          result = $filter('limitTo')(result, scope.options.maxItems);
+        }
+
+        scope.internalList = result;
+        applyGrouping();
+        paginate();
+        refreshGridData(element, scope, scope.options.contentRowClass);
+      };
+
+      /**
+       * Go to a page of the grid. The page is kept within the range of pages there are.
+       * @param page {Number} - the page number, starting at 1
+       */
+      scope.setPage = function(page) {
+        scope.page = page;
+        scope.liveRegion.pending = true;
+        if (angular.isDefined(dataSource)) {
+          // Page is brought within range once the server responds with the total
+          scope.paging.page = page;
+          loadData();
+          return;
+        }
+
+        paginate();
+        refreshGridData(element, scope, scope.options.contentRowClass);
+      };
+
+      // Run the grid content through the search filter after the search text or a column filter changes. If
+      // using a dataSource, wait until the text has stopped changing.
+      scope.runSearch = function() {
+        scope.liveRegion.pending = true;
+        if (angular.isDefined(dataSource)) {
+          if (angular.isDefined(scope.paging)) {
+            // The search results start from the first page, rather than asking for a page they may not have
+            scope.page = scope.paging.page = 1;
+          }
+          loadData(dataSourceDelay);
+        } else {
+          scope.runFilters();
+        }
+        emitGridEvent(scope, 'searchChanged', scope.filter.search);
+      };
+
+      /**
+       * Change the number of grid items per page, staying on the page that has the first item currently shown
+       * @param size {Number} - the new page size
+       */
+      scope.setPageSize = function(size) {
+        var firstIndex = (scope.paging.page - 1) * scope.paging.size;
+        scope.paging.size = size;
+        scope.setPage(Math.floor(firstIndex / size) + 1);
+      };
+
+      // Returns the sort key for a column from the 'sort' object, if the grid is being sorted on it
+      var findSortColumn = function(property) {
+        return _.find(scope.sort.columns, function(sortColumn) {
+          return sortColumn.property === property;
+        });
+      };
+
+      /**
+       * Set the new state of the 'sort' object and run the list through the filters using it. A plain
+       * click sorts on only the clicked column, reversing its order if it was already sorted on. A
+       * shift-click keeps the current sort and adds the column as its lowest priority key, or if it is
+       * already a key, reverses its order and then removes it on the next shift-click.
+       * @param newSortColumn {String} or {Function} - If a string, the name of the column that is being
+       *   set to sort on. If a function, the function that should be called to get the value to sort on
+       *   for a column.
+       * @param $event {Object} - Optional. The click event on the column header
+       */
+      scope.setSorting = function(newSortColumn, $event) {
+        var sortColumn = findSortColumn(newSortColumn);
+
+        if ($event && $event.shiftKey) {
+          if (angular.isUndefined(sortColumn)) {
+            scope.sort.columns.push({ property: newSortColumn, descending: false });
+          } else if (!sortColumn.descending) {
+            sortColumn.descending = true;
+          } else {
+            scope.sort.columns.splice(scope.sort.columns.indexOf(sortColumn), 1);
+          }
+        } else {
+          // Already sorting this column, just change sort order. Otherwise start sorting on it.
+          scope.sort.columns = [{
+            property: newSortColumn,
+            descending: angular.isDefined(sortColumn) && !sortColumn.descending
+          }];
+        }
+        scope.runFilters();
+        emitGridEvent(scope, 'sortChanged', angular.copy(scope.sort.columns));
+      };
+
+      /**
+       * If the grid is being sorted on newSortColumn, set the caret class for it, else show nothing.
+       * @param newSortColumn {String} - column that is being set to sort on
+       * returns {string} - class
+       */
+      scope.setSortingClass = function(newSortColumn) {
+        var sortColumn = findSortColumn(newSortColumn);
+        return angular.isDefined(sortColumn) && 'sort sort-descending-' + sortColumn.descending;
+      };
+
+      /**
+       * Get the aria-sort value for a column header
+       * @param sortColumn {String} or {Function} - column being sorted on
+       * returns {String} - 'ascending', 'descending' or 'none'
+       */
+      scope.getAriaSort = function(sortColumn) {
+        var sortKey = findSortColumn(sortColumn);
+        if (angular.isUndefined(sortKey)) {
+          return 'none';
+        }
+        return sortKey.descending ? 'descending' : 'ascending';
+      };
+
+      /**
+       * Get the priority of a column in the current sort, starting at 1 for the primary sort column.
+       * @param sortColumn {String} or {Function} - column being sorted on
+       * returns {Number} - priority, or 0 if not being sorted on
+       */
+      scope.getSortPriority = function(sortColumn) {
+        return scope.sort.columns.indexOf(findSortColumn(sortColumn)) + 1;
+      };
+
+      /**
+       * Run grid items through the filters set in the filter row
+       * @param list {Array} - grid items
+       * returns {Array} - grid items matching every column filter
+       */
+      var applyColumnFilters = function(list) {
+        if (!angular.isArray(list) || !_.some(scope.columnFilters)) {
+          return list;
+        }
+
+        return list.filter(function(item) {
+          return scope.config.columnDefs.every(function(columnDef, index) {
+            var columnFilter = scope.columnFilters[index];
+            if (!columnFilter) {
+              return true;
+            }
+
+            return matchesColumnFilter(columnFilter, getColumnValue(item, columnDef, scope),
+                                       getDisplayValue(item, columnDef, scope));
+          });
+        });
+      };
+
+      // Set the choices for each select filter in the filter row. These are the column's filterOptions if
+      // it has them, otherwise the distinct values shown in the column.
+      var updateFilterOptions = function() {
+        angular.forEach(scope.config.columnDefs, function(columnDef, index) {
+          var columnFilter = scope.columnFilters[index];
+          if (!columnFilter || columnFilter.type !== 'select') {
+            return;
+          }
+
+          if (angular.isDefined(columnDef.filterOptions)) {
+            columnFilter.options = columnDef.filterOptions;
+          } else {
+            columnFilter.options = _.uniq((scope.list || []).map(function(item) {
+              return String(getDisplayValue(item, columnDef, scope));
+            })).sort();
+          }
+        });
+      };
+
+      // Put the internal list in group order and build its groups, if grouping
+      var applyGrouping = function() {
+        if (angular.isDefined(scope.grouping)) {
+          var grouped = groupItems(scope.internalList, scope);
+          scope.internalList = grouped.items;
+          scope.grouping.groups = grouped.groups;
+        }
+      };
+
+      // Set the list of rows to render from the current page of grid items, adding group headers if grouping
+      var setVisibleList = function() {
+        scope.visibleList = angular.isDefined(scope.grouping) ? addGroupHeaders(scope.pageList, scope) : scope.pageList;
+      };
+
+      // Set the list of grid items to render. If paging, this is the current page of the internal list, with
+      // the page pulled back within range if the internal list has shrunk. If the total is given, the
+      // internal list has been paged already by a dataSource, and total is the count across all pages.
+      var paginate = function(total) {
+        if (angular.isUndefined(scope.paging)) {
+          scope.pageList = scope.internalList;
+          setVisibleList();
+          return;
+        }
+
+        var paging = scope.paging;
+        var list = scope.internalList || [];
+        paging.total = angular.isDefined(total) ? total : list.length;
+        paging.pageCount = Math.max(1, Math.ceil(paging.total / paging.size));
+        paging.page = Math.max(1, parseInt(scope.page, 10) || 1);
+        if (angular.isDefined(total) || (angular.isUndefined(dataSource) && angular.isDefined(scope.list))) {
+          // Until the grid items have loaded, the page is kept as it is, ie a page restored from saved state
+          paging.page = Math.min(paging.page, paging.pageCount);
+        }
+        paging.numbers = getPageNumbers(paging.page, paging.pageCount);
+        scope.page = paging.page;
+
+        var start = (paging.page - 1) * paging.size;
+        scope.pageList = angular.isDefined(total) ? list : list.slice(start, start + paging.size);
+        paging.first = (paging.total > 0) ? start + 1 : 0;
+        paging.last = start + scope.pageList.length;
+        setVisibleList();
+      };
+
+      /**
+       * Collapse a group of grid items so only its header row is shown, or expand it again
+       * @param key {String} - key of the group
+       */
+      scope.toggleGroup = function(key) {
+        scope.grouping.collapsed[key] = !scope.grouping.collapsed[key];
+        setVisibleList();
+        refreshGridData(element, scope, scope.options.contentRowClass);
+      };
+
+      /******************************** SELECTION ***************************************/
+
+      // Selection anchor for shift-click range selection
+      var selectionAnchor;
+
+      // Returns the value a grid item is selected on
+      var getItemKey = function(item) {
+        return String(item[scope.options.identityColumn]);
+      };
+
+      // Add a grid item to the selection
+      var selectItem = function(item) {
+        var key = getItemKey(item);
+        if (!scope.selection.items.hasOwnProperty(key)) {
+          scope.selection.keys.push(key);
+        }
+        scope.selection.items[key] = item;
+      };
+
+      // Remove a grid item from the selection
+      var deselectItem = function(item) {
+        var key = getItemKey(item);
+        if (scope.selection.items.hasOwnProperty(key)) {
+          scope.selection.keys.splice(scope.selection.keys.indexOf(key), 1);
+          delete scope.selection.items[key];
+        }
+      };
+
+      // Replace the selection with a list of grid items
+      var setSelection = function(items) {
+        scope.selection.keys = [];
+        scope.selection.items = {};
+        angular.forEach(items, selectItem);
+      };
+
+      // Update the selectedItems binding from the selection, and pass it on to the onSelectionChange function
+      var selectionChanged = function() {
+        scope.selectedItems = scope.selection.keys.map(function(key) {
+          return scope.selection.items[key];
+        });
+
+        if (angular.isDefined(attrs.onSelectionChange)) {
+          scope.onSelectionChange()(scope.selectedItems);
+        }
+      };
+
+      /**
+       * Bring the selection up to date with a new list of grid items. Selected items are replaced by the
+       * objects with the same identity in the list, so the selection holds current data.
+       * @param list {Array} - the grid items
+       * @param removeMissing {Boolean} - if true, items no longer in the list are deselected. This is not
+       *   wanted when the list is only one page of the grid items.
+       */
+      var updateSelection = function(list, removeMissing) {
+        var listItems = {};
+        angular.forEach(list, function(item) {
+          listItems[getItemKey(item)] = item;
+        });
+
+        var changed = false;
+        angular.forEach(scope.selection.keys.slice(), function(key) {
+          if (listItems.hasOwnProperty(key)) {
+            changed = changed || scope.selection.items[key] !== listItems[key];
+            scope.selection.items[key] = listItems[key];
+          } else if (removeMissing) {
+            deselectItem(scope.selection.items[key]);
+            changed = true;
+          }
+        });
+
+        if (changed) {
+          selectionChanged();
+        }
+      };
+
+      /**
+       * Check if a grid item is selected
+       * @param item {Object} - grid item
+       * returns {Boolean}
+       */
+      scope.isSelected = function(item) {
+        return scope.selection.items.hasOwnProperty(getItemKey(item));
+      };
+
+      /**
+       * Change the selection for a click on a grid item's row. Clicks on links, buttons and inputs within the
+       * row, other than its selection checkbox, are left alone.
+       * @param item {Object} - grid item of the row
+       * @param $event {Object} - the click event
+       */
+      scope.selectRow = function(item, $event) {
+        var target = $($event.target);
+        if (!target.is('.grid-select') &&
+            target.closest('a, button, input, select, textarea', $event.currentTarget).length > 0) {
+          return;
+        }
+
+        var selected = scope.isSelected(item);
+        var anchorIndex = _.findIndex(scope.internalList, function(listItem) {
+          return getItemKey(listItem) === selectionAnchor;
+        });
+
+        if (scope.selection.mode === 'multi' && $event.shiftKey && anchorIndex !== -1) {
+          // Select every row from the last one clicked to this one
+          var itemIndex = scope.internalList.indexOf(item);
+          scope.internalList.slice(Math.min(anchorIndex, itemIndex), Math.max(anchorIndex, itemIndex) + 1)
+            .forEach(selectItem);
+        } else if (selected) {
+          deselectItem(item);
+        } else {
+          if (scope.selection.mode === 'single') {
+            setSelection([]);
+          }
+          selectItem(item);
+        }
+
+        selectionAnchor = getItemKey(item);
+        if (target.is('.grid-select')) {
+          // Keep the checkbox in line with the selection, whatever the click did to it
+          target.prop('checked', scope.isSelected(item));
+        }
+        selectionChanged();
+      };
+
+      /**
+       * Check if all grid items matching the search and filters are selected
+       * returns {Boolean}
+       */
+      scope.allSelected = function() {
+        return _.size(scope.internalList) > 0 && _.every(scope.internalList, scope.isSelected);
+      };
+
+      /**
+       * Select all grid items matching the search and filters, or if they already are, deselect them
+       * @param $event {Object} - the click event on the select all checkbox
+       */
+      scope.selectAll = function($event) {
+        if (scope.allSelected()) {
+          angular.forEach(scope.internalList, deselectItem);
+        } else {
+          angular.forEach(scope.internalList, selectItem);
+        }
+
+        $($event.target).prop('checked', scope.allSelected());
+        selectionChanged();
+      };
+
+      /******************************** DETAIL PANELS ***************************************/
+
+      /**
+       * Check if the detail panel of a grid item is open
+       * @param item {Object} - grid item
+       * returns {Boolean}
+       */
+      scope.isDetailOpen = function(item) {
+        return scope.details.open.hasOwnProperty(getItemKey(item));
+      };
+
+      /**
+       * Open the detail panel of a grid item, loading its detail through the config detailLoader if there
+       * is one. In 'single' detailMode, any other open panel is closed.
+       * @param item {Object} - grid item
+       */
+      scope.openDetail = function(item) {
+        if (scope.isDetailOpen(item)) {
+          return;
+        }
+        if (scope.details.mode === 'single') {
+          scope.details.open = {};
+        }
+
+        var detailState = {
+          loading: true
+        };
+        var loader = scope.config.detailLoader;
+        detailState.promise = $q.when(angular.isFunction(loader) ? loader(item) : undefined).then(function(detail) {
+          detailState.loading = false;
+          return detail;
+        }, function(reason) {
+          detailState.loading = false;
+          detailState.error = true;
+          return $q.reject(reason);
+        });
+
+        scope.details.open[getItemKey(item)] = detailState;
+        renderContentRows(element, scope, scope.options.contentRowClass);
+      };
+
+      /**
+       * Close the detail panel of a grid item
+       * @param item {Object} - grid item
+       */
+      scope.closeDetail = function(item) {
+        delete scope.details.open[getItemKey(item)];
+        renderContentRows(element, scope, scope.options.contentRowClass);
+      };
+
+      /**
+       * Open the detail panel of a grid item if it is closed, or close it if it is open
+       * @param item {Object} - grid item
+       * @param $event {Object} - the click event. It is kept from selecting the row.
+       */
+      scope.toggleDetail = function(item, $event) {
+        if ($event) {
+          $event.stopPropagation();
+        }
+
+        if (scope.isDetailOpen(item)) {
+          scope.closeDetail(item);
+        } else {
+          scope.openDetail(item);
+        }
+      };
+
+      // Forget the open detail panels of grid items no longer in the list
+      var updateDetails = function(list) {
+        if (angular.isUndefined(scope.details)) {
+          return;
+        }
+
+        var listKeys = {};
+        angular.forEach(list, function(item) {
+          listKeys[getItemKey(item)] = true;
+        });
+        angular.forEach(_.keys(scope.details.open), function(key) {
+          if (!listKeys.hasOwnProperty(key)) {
+            delete scope.details.open[key];
+          }
+        });
+      };
+
+      /******************************** INLINE EDITING ***************************************/
+
+      // Returns the cell element for a column of a grid item's row, if the row is rendered
+      var findCell = function(item, index) {
+        var row = _.find(scope.renderedRows, function(renderedRow) {
+          return renderedRow.item === item;
+        });
+        return row && row.element.children('[data-column-index="' + index + '"]');
+      };
+
+      // Close the open inline editor and put the cell content back
+      var endEdit = function() {
+        var editing = scope.editing;
+        if (angular.isUndefined(editing)) {
+          return;
+        }
+        scope.editing = undefined;
+
+        editing.editorScope.$destroy();
+        editing.editor.remove();
+        editing.cell.append(editing.content);
+        editing.cell.focus();
+      };
+
+      /**
+       * Open an inline editor in the cell for a column of a grid item's row. Any editor already open is
+       * committed first.
+       * @param item {Object} - grid item
+       * @param index {Number} - index of the column in the config columnDefs
+       */
+      scope.editCell = function(item, index) {
+        if (angular.isDefined(scope.editing) && scope.editing.item === item && scope.editing.index === index) {
+          // Already editing it
+          return;
+        }
+
+        if (angular.isDefined(scope.editing)) {
+          scope.commitEdit().then(function() {
+            scope.editCell(item, index);
+          });
+          return;
+        }
+
+        var cell = findCell(item, index);
+        if (!cell || cell.length === 0) {
+          return;
+        }
+
+        var columnDef = scope.config.columnDefs[index];
+        var editorScope = cell.scope().$new();
+        editorScope.editor = {
+          value: toEditorValue(columnDef, item[columnDef.property]),
+          options: columnDef.editOptions
+        };
+
+        var editor = $compile(buildEditor(columnDef))(editorScope);
+        scope.editing = {
+          item: item,
+          index: index,
+          cell: cell,
+          content: cell.contents().detach(),
+          editor: editor,
+          editorScope: editorScope
+        };
+        cell.append(editor);
+        editor.find('input, select').focus();
+      };
+
+      /**
+       * Commit the value in the open inline editor. It is validated and passed to the onCellEdit function,
+       * and only set on the grid item once that accepts it. If not valid or rejected, the editor stays open.
+       * While onCellEdit is still deciding, committing again returns the same promise.
+       * returns {Promise} - resolved once the change is accepted, rejected if not
+       */
+      scope.commitEdit = function() {
+        var editing = scope.editing;
+        if (angular.isUndefined(editing)) {
+          return $q.when();
+        }
+        if (angular.isDefined(editing.pending)) {
+          return editing.pending;
+        }
+
+        var columnDef = scope.config.columnDefs[editing.index];
+        var item = editing.item;
+        var newValue = fromEditorValue(columnDef, editing.editorScope.editor.value);
+        var oldValue = item[columnDef.property];
+
+        var error = validateEdit(columnDef, newValue, item);
+        if (angular.isDefined(error)) {
+          editing.editorScope.editor.error = error;
+          return $q.reject(error);
+        }
+
+        if (angular.equals(newValue, oldValue)) {
+          endEdit();
+          return $q.when();
+        }
+
+        var result = angular.isDefined(attrs.onCellEdit) ?
+                       scope.onCellEdit()(item, columnDef.property, newValue, oldValue) : true;
+
+        editing.pending = $q.when(result).then(function(accepted) {
+          if (accepted === false) {
+            return $q.reject();
+          }
+
+          // The editor may have been cancelled (or another one opened) in the meantime
+          if (scope.editing === editing) {
+            endEdit();
+          }
+          item[columnDef.property] = newValue;
+          refreshGridData(element, scope, scope.options.contentRowClass);
+        }).catch(function(reason) {
+          editing.pending = undefined;
+          editing.editorScope.editor.error = angular.isString(reason) ? reason : 'Change was not accepted';
+          return $q.reject(reason);
+        });
+        return editing.pending;
+      };
+
+      // Close the open inline editor without changing the grid item
+      scope.cancelEdit = function() {
+        endEdit();
+      };
+
+      // Start editing a cell that has focus when Enter is pressed on it
+      scope.cellKeydown = function(item, index, $event) {
+        if ($event.keyCode === 13 && $event.target === $event.currentTarget) {
+          $event.preventDefault();
+          scope.editCell(item, index);
+        }
+      };
+
+      // Handle Enter, Escape and Tab in the inline editor
+      scope.editorKeydown = function($event) {
+        if ($event.keyCode === 13) {
+          $event.preventDefault();
+          scope.commitEdit();
+        } else if ($event.keyCode === 27) {
+          $event.preventDefault();
+          scope.cancelEdit();
+        } else if ($event.keyCode === 9) {
+          $event.preventDefault();
+
+          // Find the next (or previous) editable cell before committing, as that can rebuild the row
+          var cells = getGridTable(element).children('.grid-body').find('.grid-editable-cell');
+          var nextPosition = cells.index(scope.editing.cell) + ($event.shiftKey ? -1 : 1);
+          var next = (nextPosition >= 0) ? cells.eq(nextPosition) : $();
+          var nextItem = next.length > 0 && next.scope().item;
+          var nextIndex = next.attr('data-column-index');
+
+          scope.commitEdit().then(function() {
+            if (nextItem) {
+              scope.editCell(nextItem, parseInt(nextIndex, 10));
+            }
+          });
+        }
+      };
+
+      /******************************** COLUMN LAYOUT ***************************************/
+
+      /**
+       * Get the display name of a column for the column chooser
+       * @param index {Number} - index of the column in the config columnDefs
+       * returns {String}
+       */
+      scope.getColumnName = function(index) {
+        var columnDef = scope.config.columnDefs[index];
+        if (columnDef.name) {
+          return columnDef.name;
+        }
+        return angular.isString(columnDef.property) ? columnDef.property : 'Column ' + (index + 1);
+      };
+
+      // Clear the filters of hidden columns, as their filter inputs are no longer shown to clear them with.
+      // Returns true if any had a value.
+      var clearHiddenColumnFilters = function() {
+        var cleared = false;
+        angular.forEach(scope.columns, function(column) {
+          var columnFilter = scope.columnFilters[column.index];
+          if (column.visible || !columnFilter) {
+            return;
+          }
+
+          angular.forEach(filterStateFields[columnFilter.type], function(field) {
+            if (hasValue(columnFilter[field])) {
+              cleared = true;
+            }
+            columnFilter[field] = undefined;
+          });
+        });
+        return cleared;
+      };
+
+      // Apply a change to the column layout to the headers, filters, content rows and footer
+      scope.columnsChanged = function() {
+        if (angular.isDefined(scope.editing)) {
+          scope.cancelEdit();
+        }
+
+        var filtersCleared = clearHiddenColumnFilters();
+        buildColumnRows(element, scope, scope.options.headerRowClass, scope.options.footerRowClass);
+
+        // Every content row has to be built again with the new layout
+        angular.forEach(scope.renderedRows, destroyContentRow);
+        scope.renderedRows = {};
+        if (filtersCleared) {
+          scope.runSearch();
+        } else {
+          refreshGridData(element, scope, scope.options.contentRowClass);
+        }
+      };
+
+      /**
+       * Move a column to the position of another one
+       * @param fromIndex {Number} - index in the config columnDefs of the column to move
+       * @param toIndex {Number} - index in the config columnDefs of the column whose position it moves to
+       */
+      scope.moveColumn = function(fromIndex, toIndex) {
+        var findPosition = function(index) {
+          return _.findIndex(scope.columns, function(column) {
+            return column.index === index;
+          });
+        };
+
+        var fromPosition = findPosition(fromIndex);
+        var toPosition = findPosition(toIndex);
+
+        // Taking the column out shifts the ones after it back by one, so a column moved to the right lands
+        // just after the one it was dropped on, and a column moved to the left just before it
+        var column = scope.columns.splice(fromPosition, 1)[0];
+        scope.columns.splice(toPosition, 0, column);
+        scope.columnsChanged();
+      };
+
+      /**
+       * Set the width of a column
+       * @param index {Number} - index of the column in the config columnDefs
+       * @param width {Number} or {String} - number of pixels, or a string with units
+       */
+      scope.resizeColumn = function(index, width) {
+        _.find(scope.columns, function(column) {
+          return column.index === index;
+        }).width = toWidth(width);
+        scope.columnsChanged();
+      };
+
+      /******************************** STATE ***************************************/
+
+      var stateKey = attrs.stateKey;
+      var stateStorage = (angular.isDefined(attrs.stateStorage)) ? attrs.stateStorage : 'local';
+      var defaultState;
+
+      // Filter fields kept in the state for each type of column filter
+      var filterStateFields = {
+        text: ['value'],
+        select: ['value'],
+        number: ['min', 'max'],
+        date: ['from', 'to']
+      };
+
+      /**
+       * Get the state of the grid that is saved with stateKey
+       * returns {Object} - { sort, search, filters, page, pageSize, columns }
+       */
+      scope.getState = function() {
+        var state = {
+          search: scope.filter.search || '',
+          filters: scope.columnFilters.map(function(columnFilter) {
+            if (!columnFilter) {
+              return null;
+            }
+
+            var filterState = {};
+            angular.forEach(filterStateFields[columnFilter.type], function(field) {
+              filterState[field] = columnFilter[field];
+            });
+            return filterState;
+          }),
+          columns: scope.columns.map(function(column) {
+            return { index: column.index, visible: column.visible, width: column.width };
+          })
+        };
+
+        if (scope.options.sorting) {
+          // Sort keys are saved as the property of their column, which for getter columns is the expression
+          // for the getter
+          state.sort = scope.sort.columns.map(function(sortColumn) {
+            var columnDef = findSortColumnDef(sortColumn.property);
+            return columnDef && { property: columnDef.property, descending: sortColumn.descending };
+          }).filter(Boolean);
+        }
+
+        if (angular.isDefined(scope.paging)) {
+          state.page = parseInt(scope.page, 10) || 1;
+          state.pageSize = scope.paging.size;
+        }
+        return state;
+      };
+
+      // Returns the sort key of a column, as buildHeader passes it to setSorting: the getter function for
+      // a column sorted by a providedScope getter, otherwise the property
+      var getColumnSortKey = function(columnDef) {
+        var getter = scope.$eval(columnDef.property);
+        return _.isFunction(getter) ? getter : columnDef.property;
+      };
+
+      // Returns the column a sort key (or a saved column property) sorts on, if any
+      var findSortColumnDef = function(property) {
+        return _.find(scope.config.columnDefs, function(columnDef) {
+          return angular.isString(columnDef.property) &&
+            (columnDef.property === property || getColumnSortKey(columnDef) === property);
+        });
+      };
+
+      // Column widths a saved state can have: a number of pixels or a percentage
+      var stateWidthPattern = /^\d+(\.\d+)?(px|%)$/;
+
+      // Returns true if a saved column layout has exactly one entry for each column
+      var isColumnState = function(columns) {
+        if (!angular.isArray(columns) || columns.length !== scope.config.columnDefs.length) {
+          return false;
+        }
+
+        return _.every(scope.config.columnDefs, function(columnDef, index) {
+          return _.some(columns, function(column) {
+            return column && column.index === index;
+          });
+        });
+      };
+
+      // Set the sort, search, filters, paging and columns from a state, without updating the grid. Parts
+      // of the state that are missing or do not fit the grid are left as they are.
+      var applyState = function(state) {
+        if (!angular.isObject(state)) {
+          return;
+        }
+
+        if (scope.options.sorting && angular.isArray(state.sort)) {
+          // Only sort on the columns' own properties, as a state can come from anywhere (ie, a shared link)
+          // and properties are run as expressions
+          scope.sort.columns = state.sort.filter(function(sortColumn) {
+            return sortColumn && angular.isString(sortColumn.property) &&
+              angular.isDefined(findSortColumnDef(sortColumn.property));
+          }).map(function(sortColumn) {
+            return {
+              property: getColumnSortKey(findSortColumnDef(sortColumn.property)),
+              descending: !!sortColumn.descending
+            };
+          });
+        }
+
+        if (angular.isDefined(state.search)) {
+          scope.filter.search = state.search;
+        }
+
+        if (angular.isArray(state.filters) && state.filters.length === scope.columnFilters.length) {
+          angular.forEach(scope.columnFilters, function(columnFilter, index) {
+            var filterState = state.filters[index];
+            if (!columnFilter || !angular.isObject(filterState)) {
+              return;
+            }
+
+            angular.forEach(filterStateFields[columnFilter.type], function(field) {
+              columnFilter[field] = filterState[field];
+            });
+          });
+        }
+
+        if (angular.isDefined(scope.paging)) {
+          if (parseInt(state.pageSize, 10) > 0) {
+            scope.paging.size = parseInt(state.pageSize, 10);
+          }
+          if (angular.isDefined(state.page)) {
+            scope.page = parseInt(state.page, 10) || 1;
+            scope.paging.page = scope.page;
+          }
+        }
+
+        if (isColumnState(state.columns)) {
+          scope.columns = state.columns.map(function(column) {
+            // Widths are built into markup, so anything other than a plain width is dropped
+            var width = stateWidthPattern.test(column.width) ? column.width : undefined;
+            return { index: column.index, visible: column.visible !== false, width: width };
+          });
+        }
+      };
+
+      /**
+       * Apply a state to the grid and update it to match
+       * @param state {Object} - a state returned by getState. Any part of it can be left out.
+       */
+      scope.setState = function(state) {
+        applyState(state);
+        scope.columnsChanged();
+        scope.runFilters();
+      };
+
+      // Put the grid back to the state it was first shown in, before any saved state was applied
+      scope.resetState = function() {
+        scope.setState(angular.copy(defaultState));
+      };
+
+      // Returns the state saved with stateKey, if there is one
+      var readSavedState = function() {
+        var saved;
+        if (stateStorage === 'url') {
+          saved = $location.search()[stateKey];
+        } else {
+          try {
+            saved = $window.localStorage.getItem('customGrid.' + stateKey);
+          } catch (e) {
+            // Storage can be unavailable, ie in private browsing
+          }
+        }
+
+        try {
+          return angular.isString(saved) ? angular.fromJson(saved) : undefined;
+        } catch (e) {
+          return undefined;
+        }
+      };
+
+      // Save the state with stateKey. A state that is the same as the default state is removed instead,
+      // so that a reset grid leaves nothing behind.
+      var saveState = function(state) {
+        var saved = angular.equals(state, defaultState) ? null : angular.toJson(state);
+        if (stateStorage === 'url') {
+          if (($location.search()[stateKey] || null) !== saved) {
+            $location.search(stateKey, saved).replace();
+          }
+          return;
+        }
+
+        try {
+          if (saved === null) {
+            $window.localStorage.removeItem('customGrid.' + stateKey);
+          } else {
+            $window.localStorage.setItem('customGrid.' + stateKey, saved);
+          }
+        } catch (e) {
+          // Storage can be unavailable or full. The grid still works, the state just isn't kept.
+        }
+      };
+
+      /******************************** EXPORT ***************************************/
+
+      // Returns the columns to export. Columns without a value of their own (ie, only customContent) are
+      // left out unless they have an exportValue.
+      var getExportColumns = function() {
+        return scope.config.columnDefs.filter(function(columnDef) {
+          return !columnDef.selectionCheckbox && (angular.isDefined(columnDef.exportValue) ||
+            angular.isDefined(columnDef.contentExpression) || angular.isDefined(columnDef.property));
+        });
+      };
+
+      // Returns the grid items to export: the ones matching the search and filters, or only the selected
+      // ones, in sorted order
+      var getExportItems = function(selectedOnly) {
+        if (!selectedOnly) {
+          return scope.internalList || [];
+        }
+        var selectedItems = scope.selectedItems || [];
+        return scope.options.sorting ? sortList(selectedItems, getSortColumns()) : selectedItems;
+      };
+
+      // Returns the exported value of a grid item's column
+      var getExportValue = function(item, columnDef) {
+        if (angular.isDefined(columnDef.exportValue)) {
+          return scope.$eval(columnDef.exportValue, { item: item });
+        }
+        if (angular.isDefined(getColumnType(columnDef)) && !isFormattedFor(columnDef, 'export')) {
+          return getColumnValue(item, columnDef, scope);
+        }
+        return getDisplayValue(item, columnDef, scope);
+      };
+
+      /**
+       * Export grid items to CSV, with a header line of the column names
+       * @param selectedOnly {Boolean} - if true, only export the selected grid items
+       * returns {String} - CSV content
+       */
+      scope.exportCsv = function(selectedOnly) {
+        var columnDefs = getExportColumns();
+        var lines = [columnDefs.map(function(columnDef) {
+          return toCsvField(columnDef.name);
+        }).join(',')];
+
+        angular.forEach(getExportItems(selectedOnly), function(item) {
+          lines.push(columnDefs.map(function(columnDef) {
+            return toCsvField(getExportValue(item, columnDef));
+          }).join(','));
+        });
+        return lines.join('\r\n');
+      };
+
+      /**
+       * Export grid items to JSON, as a list of objects keyed on column name (or property if unnamed)
+       * @param selectedOnly {Boolean} - if true, only export the selected grid items
+       * returns {String} - JSON content
+       */
+      scope.exportJson = function(selectedOnly) {
+        var columnDefs = getExportColumns();
+        var rows = getExportItems(selectedOnly).map(function(item) {
+          var row = {};
+          angular.forEach(columnDefs, function(columnDef, index) {
+            var key = columnDef.name || (angular.isString(columnDef.property) ? columnDef.property : 'column' + index);
+            row[key] = getExportValue(item, columnDef);
+          });
+          return row;
+        });
+        return angular.toJson(rows, true);
+      };
+
+      /**
+       * Export grid items and save them to a file named after the config title
+       * @param format {String} - 'csv' or 'json'
+       * @param selectedOnly {Boolean} - Optional. If true, only export the selected grid items. Defaults to
+       *   the 'Selected only' choice above the grid.
+       */
+      scope.downloadExport = function(format, selectedOnly) {
+        if (angular.isUndefined(selectedOnly)) {
+          selectedOnly = scope.exportOptions && scope.exportOptions.selectedOnly;
+        }
+
+        var fileName = (scope.config.title || 'grid') + '.' + format;
+        if (format === 'json') {
+          downloadFile(scope.exportJson(selectedOnly), fileName, 'application/json');
+        } else {
+          downloadFile(scope.exportCsv(selectedOnly), fileName, 'text/csv');
+        }
+      };
+
+      /******************************** DATA SOURCE ***************************************/
+
+      var dataSource, dataSourceDelay, pendingRequest;
+      var requestCount = 0;
+
+      // Build the parameters for a dataSource call from the current paging, sorting and search state
+      var getDataSourceParams = function() {
+        var params = {
+          page: 1,
+          pageSize: undefined,
+          sort: [],
+          filters: {},
+          search: scope.filter.search
+        };
+
+        angular.forEach(scope.config.columnDefs, function(columnDef, index) {
+          var columnFilter = scope.columnFilters[index];
+          var key = angular.isString(columnDef.property) ? columnDef.property : index;
+          if (!columnFilter) {
+            return;
+          }
+
+          if ((columnFilter.type === 'text' || columnFilter.type === 'select') && hasValue(columnFilter.value)) {
+            params.filters[key] = columnFilter.value;
+          } else if (columnFilter.type === 'number' &&
+                     (hasValue(columnFilter.min) || hasValue(columnFilter.max))) {
+            params.filters[key] = {
+              min: hasValue(columnFilter.min) ? parseFloat(columnFilter.min) : undefined,
+              max: hasValue(columnFilter.max) ? parseFloat(columnFilter.max) : undefined
+            };
+          } else if (columnFilter.type === 'date' &&
+                     (hasValue(columnFilter.from) || hasValue(columnFilter.to))) {
+            params.filters[key] = {
+              from: hasValue(columnFilter.from) ? parseInputDate(columnFilter.from) : undefined,
+              to: hasValue(columnFilter.to) ? parseInputDate(columnFilter.to, true) : undefined
+            };
+          }
+        });
+
+        if (angular.isDefined(scope.paging)) {
+          params.page = parseInt(scope.page, 10) || 1;
+          params.pageSize = scope.paging.size;
+        } else if (angular.isDefined(scope.options.maxItems)) {
+          params.pageSize = parseInt(scope.options.maxItems, 10);
+        }
+
+        if (scope.options.sorting) {
+          params.sort = scope.sort.columns.map(function(sortColumn) {
+            return { property: sortColumn.property, descending: sortColumn.descending };
+          });
+        }
+        return params;
+      };
+
+      // Load the grid items through the config's dataSource and render them. If a delay is given, the
+      // request waits for it, and any request made in the meantime replaces this one. Only the response
+      // to the latest request is rendered, so a slow response can not overwrite a newer one. isRetry is set
+      // when asking again for the last page, after the requested one came back empty.
+      var loadData = function(delay, isRetry) {
+        $timeout.cancel(pendingRequest);
+        if (delay > 0) {
+          pendingRequest = $timeout(function() {
+            loadData();
+          }, delay);
+          return;
+        }
+
+        var requestId = ++requestCount;
+        scope.dataStatus.loading = true;
+        scope.dataStatus.error = undefined;
+
+        $q.when(dataSource(getDataSourceParams())).then(function(result) {
+          if (requestId !== requestCount) {
+            return;
+          }
+
+          scope.dataStatus.loading = false;
+          scope.internalList = result.items || [];
+          updateSelection(scope.internalList, false);
+          applyGrouping();
+          paginate(result.total || 0);
+
+          if (scope.pageList.length === 0 && scope.paging && scope.paging.total > 0 && !isRetry) {
+            // The requested page no longer exists. Ask for the last page there is instead, only once in case
+            // the total and the items the dataSource gives do not agree.
+            loadData(0, true);
+            return;
+          }
+
+          refreshGridData(element, scope, scope.options.contentRowClass);
+          emitGridEvent(scope, 'dataChanged', scope.internalList);
+        }, function(reason) {
+          if (requestId !== requestCount) {
+            return;
+          }
+
+          scope.dataStatus.loading = false;
+          scope.dataStatus.error = reason || true;
+        });
+      };
+
+      /******************************** CONTENT WATCHER CODE ***************************************/
+
+      // This builds the watchers on any of the properties whose data is shown in the grid. In other
+      // words they will trigger if any content relevant to the grid is changed.
+      var getListWatchProperties = function(obj, keys) {
+        return Object.keys(obj).filter(function (key) {
+          return keys.indexOf(key) !== -1;
+        }).reduce(function (result, key) {
+          result[key] = obj[key];
+          return result;
+        }, {});
+      };
+
+      // Pass the propertiesToWatch array built in buildHeaderRow to getListWatchProperties to
+      // set up watchers on content for individual grid item.
+      var buildListWatchers = function(item) {
+         return getListWatchProperties(item, scope.options.propertiesToWatch);
+      };
+
+      // Watch set up function. Runs through all grid items using map and builds watchers for 
+      // their grid content through buildListWatchers
+      var watchScopeList = function() {
+        return scope.list.map(buildListWatchers);
+      };
+
+      var deregisterWatchers;
+
+      // Run on any change to the external list
+      scope.$watchCollection('list', function() {
+        if (angular.isDefined(dataSource)) {
+          // Grid items come from the dataSource instead
+          return;
+        }
+
+        if (angular.isDefined(deregisterWatchers)) {
+          // If this isn't the first time the watchers have been set up, deregister them and set
+          // them up again. This needs to happen because if a grid item is edited, and then a later action
+          // changes the external list (add/delete), the original watcher on the grid item is "lost"
+          // and will not work anymore. This will "refresh" all the watchers.
+          deregisterWatchers();
+        }
+
+        // Watch grid content on individual items
+        deregisterWatchers = scope.$watch(watchScopeList, function() {
+          // The internal list holds the external list's grid items themselves, so changes to them are
+          // already there. Rows whose item changed are rebuilt as the filters are run again.
+          updateFilterOptions();
+          updateSelection(scope.list, true);
+          updateDetails(scope.list);
+
+          // Reset content. The filters always start from the external list, so this also picks up any
+          // added/deleted items.
+          scope.runFilters();
+          emitGridEvent(scope, 'dataChanged', scope.list);
+        }, true);
+      });
+
+      /******************************** API ***************************************/
+
+      /**
+       * Sort the grid from the parent scope
+       * @param property {String} or {Array} - column property to sort on, or a list of { property, descending }
+       *   objects in order of sort priority
+       * @param descending {Boolean} - with a single property, whether to sort in descending order
+       */
+      var setSort = function(property, descending) {
+        if (!scope.options.sorting) {
+          return;
+        }
+
+        scope.sort.columns = angular.isArray(property) ? property.map(function(sortColumn) {
+          return { property: sortColumn.property, descending: !!sortColumn.descending };
+        }) : [{ property: property, descending: !!descending }];
+        scope.runFilters();
+        emitGridEvent(scope, 'sortChanged', angular.copy(scope.sort.columns));
+      };
+
+      /**
+       * Set the search text from the parent scope
+       * @param text {String}
+       */
+      var setSearch = function(text) {
+        scope.filter.search = text;
+        scope.runSearch();
+      };
+
+      /**
+       * Bring the row of a grid item into view, going to its page first if paging
+       * @param id - identity column value of the grid item
+       * returns {Boolean} - false if the grid item is not shown
+       */
+      var scrollToItem = function(id) {
+        var key = String(id);
+        var position = _.findIndex(scope.internalList, function(item) {
+          return getItemKey(item) === key;
+        });
+        if (position === -1) {
+          return false;
+        }
+
+        if (angular.isDefined(scope.paging) && angular.isUndefined(dataSource)) {
+          var page = Math.floor(position / scope.paging.size) + 1;
+          if (page !== scope.paging.page) {
+            scope.setPage(page);
+          }
+        }
+
+        var visiblePosition = _.findIndex(scope.visibleList, function(item) {
+          return !(item instanceof GroupHeader) && getItemKey(item) === key;
+        });
+        if (visiblePosition === -1) {
+          // Its group is collapsed
+          return false;
+        }
+
+        if (angular.isDefined(scope.virtualScroll)) {
+          getGridTable(element).children('.grid-body')[0].scrollTop = visiblePosition * scope.virtualScroll.rowHeight;
+          renderContentRows(element, scope, scope.options.contentRowClass);
+        }
+
+        var row = scope.renderedRows[key];
+        if (angular.isDefined(row) && row.element[0].scrollIntoView) {
+          row.element[0].scrollIntoView();
+        }
+        return true;
+      };
+
+      // Returns the grid items shown on the current page
+      var getVisibleItems = function() {
+        return _.filter(scope.visibleList, function(item) {
+          return !(item instanceof GroupHeader);
+        });
+      };
+
+      // Returns the number of grid items matching the search and filters
+      var getFilteredCount = function() {
+        return angular.isDefined(scope.paging) ? scope.paging.total : _.size(scope.internalList);
+      };
+
+      /**
+       * Call a handler whenever a grid event happens
+       * @param name {String} - 'sortChanged', 'searchChanged', 'rowClicked', 'rowDoubleClicked', 'rendered'
+       *   or 'dataChanged'
+       * @param handler {Function}
+       * returns {Function} - stops calling the handler
+       */
+      var onGridEvent = function(name, handler) {
+        var listeners = scope.apiListeners[name] = scope.apiListeners[name] || [];
+        listeners.push(handler);
+        return function() {
+          var position = listeners.indexOf(handler);
+          if (position !== -1) {
+            listeners.splice(position, 1);
+          }
+        };
+      };
+
+      // Emit the row click events with the grid item of the row, found on the row's identity column key
+      var bindRowEvents = function() {
+        angular.forEach({ click: 'rowClicked', dblclick: 'rowDoubleClicked' }, function(name, eventType) {
+          element.on(eventType, '.grid-body > .grid-row', function(event) {
+            var row = scope.renderedRows[$(this).attr('data-row-key')];
+            if (angular.isUndefined(row) || row.item instanceof GroupHeader || _.isEmpty(scope.apiListeners[name])) {
+              return;
+            }
+
+            scope.$apply(function() {
+              emitGridEvent(scope, name, row.item, event);
+            });
+          });
+        });
+      };
+
+      /******************************** INSTANCE SETUP ***************************************/
+
+      // Attributes the grid settings are read from. The grid is rebuilt when any of them change.
+      var optionAttributes = ['sorting', 'search', 'maxItems', 'dateFormat', 'identityColumn', 'contentRowClass',
+                              'headerRowClass', 'footerRowClass'];
+      var rebuildPending = false;
+
+      // Returns the sort columns given by the initialSortValue and initialSortDescending attributes
+      var getInitialSort = function() {
+        if (angular.isUndefined(attrs.initialSortValue)) {
+          return [];
+        }
+
+        if (attrs.initialSortValue.charAt(0) === '[') {
+          // List of sort keys
+          return scope.$eval(attrs.initialSortValue).map(function(sortColumn) {
+            return { property: sortColumn.property, descending: !!sortColumn.descending };
+          });
+        }
+        return [{
+          property: attrs.initialSortValue,
+          descending: attrs.initialSortDescending === 'true'
+        }];
+      };
+
+      // Returns the grid settings given by the directive attributes
+      var readOptions = function() {
+        return {
+          sorting: attrs.sorting === 'true',
+          search: attrs.search === 'true',
+          // An interpolated attribute is an empty string when it has no value
+          maxItems: attrs.maxItems ? attrs.maxItems : undefined,
+          dateFormat: (angular.isDefined(attrs.dateFormat)) ? attrs.dateFormat : 'M/d/yyyy, h:mm:ss a',
+          identityColumn: (angular.isDefined(attrs.identityColumn)) ? attrs.identityColumn : 'id',
+          contentRowClass: (angular.isDefined(attrs.contentRowClass)) ? attrs.contentRowClass : '',
+          headerRowClass: (angular.isDefined(attrs.headerRowClass)) ? attrs.headerRowClass : '',
+          footerRowClass: (angular.isDefined(attrs.footerRowClass)) ? attrs.footerRowClass : '',
+          // Filled in with the properties shown in the grid as the headers are built
+          propertiesToWatch: []
+        };
+      };
+
+      // Set the grid settings from the directive attributes. Each grid keeps its own, so any number of grids
+      // can be on a page.
+      var setOptions = function() {
+        scope.options = readOptions();
+        if (scope.options.sorting && angular.isUndefined(scope.sort)) {
+          scope.sort = {
+            columns: getInitialSort()
+          };
+        }
+      };
+
+      // Set up everything that comes from the config: the data source, column filters, column layout,
+      // grouping and detail panels
+      var setConfigState = function() {
+        dataSource = scope.config.dataSource;
+        dataSourceDelay = angular.isDefined(scope.config.dataSourceDelay) ? scope.config.dataSourceDelay : 300;
+        scope.dataStatus = angular.isDefined(dataSource) ? {} : undefined;
+
+        scope.columnFilters = scope.config.columnDefs.map(function(columnDef) {
+          var type = getFilterType(columnDef);
+          return type ? { type: type, options: [] } : null;
+        });
+
+        // Column layout, in the order columns are shown
+        scope.columns = scope.config.columnDefs.map(function(columnDef, index) {
+          return {
+            index: index,
+            visible: !columnDef.hidden,
+            width: toWidth(columnDef.width)
+          };
+        });
+
+        scope.grouping = undefined;
+        if (angular.isDefined(scope.config.groupBy)) {
+          scope.grouping = {
+            groupBy: angular.isArray(scope.config.groupBy) ? scope.config.groupBy : [scope.config.groupBy],
+            collapsed: {},
+            groups: {}
+          };
+        }
+
+        scope.details = undefined;
+        if (angular.isDefined(scope.config.detailTemplate) && attrs.virtualScroll !== 'true') {
+          scope.details = {
+            mode: (angular.isDefined(scope.config.detailMode)) ? scope.config.detailMode : 'multi',
+            open: {}
+          };
+        }
+      };
+
+      // Tear the grid down and build it again with the current settings and config, once the current
+      // digest is done. Any number of changes in the same digest only rebuild it once.
+      var rebuildGrid = function() {
+        if (rebuildPending) {
+          return;
+        }
+
+        rebuildPending = true;
+        scope.$evalAsync(function() {
+          rebuildPending = false;
+          if (angular.isDefined(scope.editing)) {
+            scope.cancelEdit();
+          }
+
+          destroyGrid(element, scope);
+          scope.options.propertiesToWatch = [];
+          updateFilterOptions();
+          buildGrid(element, scope, scope.options.contentRowClass, scope.options.headerRowClass,
+                    scope.options.footerRowClass, attrs.addFunction);
+          scope.runFilters();
+        });
+      };
+
+      // Rebuild the grid when the attributes its settings come from change after linking
+      angular.forEach(optionAttributes, function(name) {
+        attrs.$observe(name, function() {
+          var options = readOptions();
+          options.propertiesToWatch = scope.options.propertiesToWatch;
+          if (!angular.equals(options, scope.options)) {
+            setOptions();
+            rebuildGrid();
+          }
+        });
+      });
+
+      // Rebuild the grid when the config is replaced, or columns are added to or removed from it
+      var configChanged = function(newValue, oldValue) {
+        if (newValue !== oldValue) {
+          setConfigState();
+          rebuildGrid();
+        }
+      };
+      scope.$watch('config', configChanged);
+      scope.$watchCollection('config.columnDefs', configChanged);
+
+      // Clean up anything that would outlive the grid. Watchers and child scopes go with the grid scope.
+      scope.$on('$destroy', function() {
+        $timeout.cancel(pendingRequest);
+      });
+
+      /******************************** INITIALIZATION ***************************************/
+
+      scope.filter = {};
+      scope.apiListeners = {};
+      scope.liveRegion = {
+        message: ''
+      };
+      scope.cellFocus = {
+        rowKey: 'header',
+        rowIndex: 0,
+        columnIndex: 0,
+        focused: false
+      };
+      setOptions();
+      setConfigState();
+
+      scope.selection = {
+        mode: (angular.isDefined(attrs.selection)) ? attrs.selection : 'none',
+        keys: [],
+        items: {}
+      };
+      // Pick up the selected items set by the parent scope, and any change it makes to them
+      scope.$watchCollection('selectedItems', setSelection);
+
+      scope.columnLayout = {
+        chooser: attrs.columnChooser === 'true',
+        reorder: attrs.columnReorder === 'true',
+        resize: attrs.columnResize === 'true',
+        chooserOpen: false
+      };
+
+      if (attrs.virtualScroll === 'true') {
+        scope.virtualScroll = {
+          rowHeight: (angular.isDefined(attrs.rowHeight)) ? parseInt(attrs.rowHeight, 10) : 30,
+          height: (angular.isDefined(attrs.viewportHeight)) ? parseInt(attrs.viewportHeight, 10) : 400,
+          buffer: (angular.isDefined(attrs.virtualScrollBuffer)) ? parseInt(attrs.virtualScrollBuffer, 10) : 10
+        };
+      }
+
+      if (attrs.scrollable === 'true') {
+        scope.scrolling = {
+          height: (angular.isDefined(attrs.bodyHeight)) ? parseInt(attrs.bodyHeight, 10) : 400,
+          width: (angular.isDefined(attrs.scrollWidth)) ? parseInt(attrs.scrollWidth, 10) : undefined
+        };
+
+        // Column widths, and so the scrollbar and pinned column offsets, change along with the window
+        var windowResized = function() {
+          updateScrollLayout(element, scope);
+        };
+        angular.element($window).on('resize', windowResized);
+        scope.$on('$destroy', function() {
+          angular.element($window).off('resize', windowResized);
+        });
+      }
+
+      if (attrs.export === 'true') {
+        scope.exportOptions = {
+          selectedOnly: false
+        };
+      }
+      if (angular.isDefined(attrs.exportApi)) {
+        scope.exportApi = {
+          toCsv: scope.exportCsv,
+          toJson: scope.exportJson,
+          download: scope.downloadExport
+        };
+      }
+      if (angular.isDefined(attrs.stateApi)) {
+        scope.stateApi = {
+          getState: scope.getState,
+          setState: scope.setState,
+          reset: scope.resetState
+        };
+      }
+      if (angular.isDefined(attrs.pageSize)) {
+        // Set up paging if needed
+        scope.paging = {
+          size: parseInt(attrs.pageSize, 10),
+          sizes: []
+        };
+        if (angular.isDefined(attrs.pageSizes)) {
+          scope.paging.sizes = attrs.pageSizes.split(',').map(function(size) {
+            return parseInt(size, 10);
+          });
+        }
+
+        // Pick up any change to the page made by the parent scope
+        scope.$watch('page', function(newPage) {
+          if (newPage !== scope.paging.page) {
+            scope.setPage(newPage);
+          }
+        });
+      }
+
+      defaultState = scope.getState();
+      if (angular.isDefined(stateKey)) {
+        // Restore the saved state before the grid is built, then save the state whenever it changes
+        applyState(readSavedState());
+        scope.$watch(scope.getState, saveState, true);
+
+        if (stateStorage === 'url') {
+          // Follow the state in the url when it is changed from outside the grid, ie by the back button
+          scope.$on('$locationChangeSuccess', function() {
+            var state = readSavedState() || defaultState;
+            if (!angular.equals(state, scope.getState())) {
+              scope.setState(angular.copy(state));
+            }
+          });
+        }
+      }
+
+      if (angular.isDefined(dataSource)) {
+        // Grid items are loaded once the grid is built
+        scope.internalList = [];
+      }
       else {
-        // If there's no sorting or searching, no need for a deep copy. The internal and external lists
-        // will always be the same.
+        // Start from the external list's grid items themselves, as runFilters does. They are not copied, so
+        // inline edits reach the parent scope's items. The list watcher runs the search, filters and sort
+        // on the first digest.
         scope.internalList = scope.list;
       }
-      buildGrid(element, scope, contentRowClass, headerRowClass, attrs.addFunction);
+      applyGrouping();
+      updateFilterOptions();
+      paginate();
+      buildGrid(element, scope, scope.options.contentRowClass, scope.options.headerRowClass,
+                scope.options.footerRowClass, attrs.addFunction);
+      bindKeyboardNavigation(element, scope);
+      bindRowEvents();
+
+      if (angular.isDefined(dataSource)) {
+        loadData();
+      }
+
+      if (angular.isDefined(attrs.onRegisterApi)) {
+        scope.onRegisterApi()({
+          refresh: scope.runFilters,
+          setSort: setSort,
+          setSearch: setSearch,
+          scrollToItem: scrollToItem,
+          getVisibleItems: getVisibleItems,
+          getFilteredCount: getFilteredCount,
+          toCsv: scope.exportCsv,
+          toJson: scope.exportJson,
+          download: scope.downloadExport,
+          getState: scope.getState,
+          setState: scope.setState,
+          reset: scope.resetState,
+          on: onGridEvent
+        });
+      }
     }
 
     return {
@@ -512,6 +3750,13 @@ angular.module('angular-custom-grid')
       scope: {
         list: '=',
         config: '=',
+        page: '=?',
+        selectedItems: '=?',
+        onSelectionChange: '&',
+        onCellEdit: '&',
+        onRegisterApi: '&',
+        exportApi: '=?',
+        stateApi: '=?',
         deleteFunction: '&',
         addFunction: '&',
         editFunction: '&',